@@ -0,0 +1,442 @@
+// Agent mode. Instead of one retrieve-then-generate pass, the model is given
+// tools over the knowledge base and calls them over several steps before it
+// answers: searching more than once, reading a whole file, or asking the
+// structured employee and contract tables. Each call is recorded in a trace
+// the REPL can expand, and the number of model turns is capped.
+
+const { CONTRACT_FIELDS, ContractsLedger, PRODUCTS } = require("./contracts");
+const { chunkSection, stripInvalidCitations } = require("./citations");
+const { describeFilter, matchesFilter, normalizeFilter } = require("./filter");
+
+const MAX_STEPS = 6;
+// Tool results go back into the prompt; whole files are cut to this
+const RESULT_TOKENS = 1500;
+
+const SYSTEM_PROMPT = `You are a helpful AI assistant for Insurellm that answers questions from its knowledge base. You cannot see the knowledge base directly: use the tools to search it, read documents and look up the employee and contract tables, then answer.
+
+Use lookup_employees and lookup_contracts for listing, counting, totals and comparisons; they cover every record and are exact. Use search_knowledge_base for everything else, and read_document when a search result is not enough. Call as many tools as you need, but stop as soon as you can answer.
+
+Tool results number every document they return, for example [3]. Cite the documents that support each claim inline with those numbers, for example [1] or [2, 3], right after the claim. If the knowledge base doesn't have the answer, say so clearly.`;
+
+// Gives `doc` a citation number for this run, reusing the number of a
+// document that an earlier tool call already returned
+function cite(state, doc) {
+  const index = state.documents.findIndex((known) => known.id === doc.id);
+  if (index >= 0) {
+    return index + 1;
+  }
+  state.documents.push(doc);
+  return state.documents.length;
+}
+
+// A table record as a citable document pointing at the file it came from
+function recordDocument(table, record, section, text) {
+  return {
+    id: `${table}:${record.source}`,
+    text,
+    metadata: { source: record.source, doc_type: record.doc_type, heading_path: section },
+  };
+}
+
+// The current REPL scope narrowed to `docType`; null when they don't overlap
+function scopeFor(state, docType) {
+  if (!docType) {
+    return state.scope;
+  }
+  if (state.scope?.doc_type && !state.scope.doc_type.includes(docType)) {
+    return null;
+  }
+  return { ...state.scope, doc_type: [docType] };
+}
+
+function outOfScope(state) {
+  return {
+    summary: "outside the current scope",
+    text: `The conversation is limited to ${describeFilter(state.scope)}.`,
+  };
+}
+
+// The directory holds no salaries, ratings or dates of birth; the model reads
+// those from the HR record itself, masked as the caller's role requires
+function employeeLine(employee) {
+  const parts = [
+    `${employee.job_title}, ${employee.city}, ${employee.state}`,
+    employee.joined && `joined ${employee.joined}`,
+  ];
+  return `${employee.name}: ${parts.filter(Boolean).join("; ")}`;
+}
+
+// Built per question: the doc types on offer change as the index does
+function createTools(chatbot) {
+  const docTypes = chatbot.knownDocTypes();
+  const docType = {
+    type: "string",
+    description: "Only this document type (knowledge-base folder)",
+    ...(docTypes.length > 0 ? { enum: docTypes } : {}),
+  };
+
+  return [
+    {
+      name: "search_knowledge_base",
+      description:
+        "Semantic search over the knowledge base. Returns the most relevant passages with their source file.",
+      parameters: {
+        type: "object",
+        properties: {
+          query: { type: "string", description: "What to search for" },
+          doc_type: docType,
+        },
+        required: ["query"],
+      },
+      async run({ query, doc_type: type }, state) {
+        if (!query) {
+          throw new Error('"query" is required');
+        }
+        const filter = scopeFor(state, type);
+        if (type && !filter) {
+          return outOfScope(state);
+        }
+        const docs = chatbot.maskDocuments(
+          await chatbot.retrieveRelevantDocuments(query, { filter }),
+          state.role
+        );
+        const text = docs
+          .map((doc) => {
+            const section = chunkSection(doc);
+            return `[${cite(state, doc)}] ${doc.metadata.source}${
+              section ? ` — ${section}` : ""
+            }\n${doc.text}`;
+          })
+          .join("\n\n");
+        return {
+          summary: `${docs.length} passages`,
+          text: text || "No passages found.",
+        };
+      },
+    },
+    {
+      name: "read_document",
+      description:
+        "Reads a whole knowledge-base file, e.g. to see every section of one contract or HR record.",
+      parameters: {
+        type: "object",
+        properties: {
+          source: {
+            type: "string",
+            description:
+              'Path relative to the knowledge base, as returned by the other tools, e.g. "contracts/Contract with Apex Reinsurance for Rellm.md"',
+          },
+        },
+        required: ["source"],
+      },
+      async run({ source }, state) {
+        if (!source) {
+          throw new Error('"source" is required');
+        }
+        const documents = await chatbot.loadFile(source);
+        if (documents.length === 0) {
+          return {
+            summary: "not found",
+            text: `No document "${source}" in the knowledge base.`,
+          };
+        }
+        if (!matchesFilter(documents[0].metadata, state.scope)) {
+          return outOfScope(state);
+        }
+        // Masked while the headings are still there to say what is compensation
+        const content = chatbot.contextBuilder.counter.truncate(
+          chatbot.mask(documents.map((doc) => doc.pageContent).join("\n\n"), state.role),
+          RESULT_TOKENS
+        );
+        const number = cite(state, {
+          id: source,
+          text: content,
+          metadata: { source, doc_type: documents[0].metadata.doc_type },
+        });
+        return {
+          summary: `${chatbot.contextBuilder.count(content)} tokens`,
+          text: `[${number}] ${source}\n${content}`,
+        };
+      },
+    },
+    {
+      name: "list_documents",
+      description: "Lists the files in the knowledge base, optionally of one document type.",
+      parameters: {
+        type: "object",
+        properties: { doc_type: docType },
+      },
+      async run({ doc_type: type }, state) {
+        const filter = scopeFor(state, type);
+        if (type && !filter) {
+          return outOfScope(state);
+        }
+        const sources = Object.keys(chatbot.manifest.files)
+          .filter((source) =>
+            matchesFilter({ source, doc_type: source.split(/[\\/]/)[0] }, filter)
+          )
+          .sort();
+        return {
+          summary: `${sources.length} files`,
+          text: sources.length > 0 ? sources.join("\n") : "No documents found.",
+        };
+      },
+    },
+    {
+      name: "lookup_employees",
+      description:
+        "Looks up the employee directory parsed from the HR records. Every filter is optional; with none, returns everyone.",
+      parameters: {
+        type: "object",
+        properties: {
+          name: { type: "string", description: "Part of the employee's name" },
+          job_title: { type: "string", description: 'Words in the job title, e.g. "engineer"' },
+          location: { type: "string", description: "City or state" },
+          joined_after: { type: "integer", description: "Joined Insurellm after this year" },
+          joined_before: { type: "integer", description: "Joined Insurellm before this year" },
+          joined_in: { type: "integer", description: "Joined Insurellm in this year" },
+        },
+      },
+      async run(criteria, state) {
+        const contains = (value, part) =>
+          !part || (value || "").toLowerCase().includes(part.toLowerCase());
+        const words = (criteria.job_title || "").toLowerCase().match(/[a-z]+/g) || [];
+        const employees = chatbot.employees.records.filter(
+          (record) =>
+            matchesFilter(record, state.scope) &&
+            contains(record.name, criteria.name) &&
+            words.every((word) => contains(record.job_title, word.replace(/s$/, ""))) &&
+            (contains(record.city, criteria.location) ||
+              contains(record.state, criteria.location)) &&
+            (!criteria.joined_after || record.joined > criteria.joined_after) &&
+            (!criteria.joined_before ||
+              (record.joined && record.joined < criteria.joined_before)) &&
+            (!criteria.joined_in || record.joined === criteria.joined_in)
+        );
+        const lines = employees.map((employee) => {
+          const line = employeeLine(employee);
+          const number = cite(
+            state,
+            recordDocument("employees", employee, employee.name, line)
+          );
+          return `- ${line} [${number}]`;
+        });
+        return {
+          summary: `${employees.length} employees`,
+          text:
+            employees.length > 0
+              ? `${employees.length} employees match:\n${lines.join("\n")}`
+              : "No employees match.",
+        };
+      },
+    },
+    {
+      name: "lookup_contracts",
+      description:
+        "Looks up the contracts ledger (client, product, monthly fee, term, auto-renewal, notice days, training seats) and computes exact counts, totals, averages and extremes.",
+      parameters: {
+        type: "object",
+        properties: {
+          client: { type: "string", description: "Part of the client's name" },
+          product: { type: "string", enum: PRODUCTS },
+          auto_renewal: {
+            type: "boolean",
+            description: "Only contracts that do (or don't) renew automatically",
+          },
+          operation: {
+            type: "string",
+            enum: ["list", "count", "total", "average", "max", "min"],
+            description: "What to compute; defaults to list",
+          },
+          field: {
+            type: "string",
+            enum: CONTRACT_FIELDS,
+            description: "The field to total, average or rank; defaults to monthly_fee",
+          },
+          annual: { type: "boolean", description: "Multiply monthly fees by 12" },
+        },
+      },
+      async run(criteria, state) {
+        const contracts = chatbot.contracts.records.filter(
+          (record) =>
+            matchesFilter(record, state.scope) &&
+            (!criteria.client ||
+              record.client.toLowerCase().includes(criteria.client.toLowerCase())) &&
+            (!criteria.product ||
+              record.product.toLowerCase() === criteria.product.toLowerCase()) &&
+            (criteria.auto_renewal === undefined ||
+              record.auto_renewal === criteria.auto_renewal)
+        );
+        const operation = criteria.operation || "list";
+        if (!["list", "count", "total", "average", "max", "min"].includes(operation)) {
+          throw new Error(`Unknown operation "${operation}"`);
+        }
+        const field = criteria.field || "monthly_fee";
+        if (!CONTRACT_FIELDS.includes(field)) {
+          throw new Error(`Unknown field "${field}"`);
+        }
+        const result = ContractsLedger.aggregate(contracts, {
+          operation,
+          field,
+          annual: Boolean(criteria.annual) && field === "monthly_fee",
+        });
+        const label = (record) => chatbot.contracts.label(record);
+        const text = ContractsLedger.format(result, (record) =>
+          cite(
+            state,
+            recordDocument("contracts", record, label(record), ContractsLedger.line(record))
+          )
+        );
+        return { summary: `${result.records.length} contracts`, text };
+      },
+    },
+  ];
+}
+
+class Agent {
+  constructor(chatbot, { maxSteps = MAX_STEPS } = {}) {
+    if (!Number.isInteger(maxSteps) || maxSteps < 1) {
+      throw new Error("The agent step budget must be a positive integer");
+    }
+    this.chatbot = chatbot;
+    this.maxSteps = maxSteps;
+  }
+
+  // Runs tool calls until the model answers or the step budget is spent; a
+  // step is one model turn. onStep gets each trace entry as it completes.
+  // The tools show PII as `role` may see it (the chatbot's role by default).
+  // Resolves to { answer, documents, cited, trace, steps, budgetReached }.
+  async run(
+    message,
+    {
+      history = [],
+      filter = null,
+      onStep = () => {},
+      temperature,
+      maxTokens,
+      role = this.chatbot.role,
+    } = {}
+  ) {
+    const state = { scope: normalizeFilter(filter), documents: [], role };
+    const scopeNote = state.scope
+      ? `\n\nThe user has limited this conversation to ${describeFilter(state.scope)}; the tools only return those documents.`
+      : "";
+    const recent = this.chatbot.contextBuilder.buildHistory(history);
+    const messages = [
+      { role: "system", content: SYSTEM_PROMPT + scopeNote },
+      ...recent.messages,
+      { role: "user", content: message },
+    ];
+    const tools = createTools(this.chatbot);
+    const schemas = tools.map(({ name, description, parameters }) => ({
+      name,
+      description,
+      parameters,
+    }));
+    const trace = [];
+
+    for (let step = 1; ; step++) {
+      const last = step >= this.maxSteps;
+      if (last && step > 1) {
+        messages.push({
+          role: "system",
+          content: "You have used up your tool calls. Answer now with what you have found.",
+        });
+      }
+
+      const response = await this.chatbot.completeWithTools(messages, schemas, {
+        temperature,
+        maxTokens,
+        toolChoice: last ? "none" : "auto",
+      });
+
+      if (response.toolCalls.length === 0 || last) {
+        const content =
+          response.content || "I ran out of steps before I could find an answer.";
+        const { text, cited } = stripInvalidCitations(content, state.documents.length);
+        return {
+          answer: text,
+          documents: state.documents,
+          cited,
+          trace,
+          steps: step,
+          budgetReached: last && step > 1,
+        };
+      }
+
+      messages.push({
+        role: "assistant",
+        content: response.content || null,
+        tool_calls: response.toolCalls.map((call) => ({
+          id: call.id,
+          type: "function",
+          function: { name: call.name, arguments: JSON.stringify(call.arguments) },
+        })),
+      });
+      for (const call of response.toolCalls) {
+        const entry = await this.callTool(tools, call, state, {
+          step,
+          number: trace.length + 1,
+        });
+        trace.push(entry);
+        onStep(entry);
+        messages.push({ role: "tool", tool_call_id: call.id, content: entry.result });
+      }
+    }
+  }
+
+  // Tool failures are reported back to the model, which can try again
+  async callTool(tools, call, state, { step, number }) {
+    const startTime = Date.now();
+    const tool = tools.find(({ name }) => name === call.name);
+    let output;
+    try {
+      if (!tool) {
+        throw new Error(`There is no tool named "${call.name}"`);
+      }
+      output = await tool.run(call.arguments || {}, state);
+    } catch (error) {
+      output = { summary: `failed: ${error.message}`, text: `Error: ${error.message}` };
+    }
+
+    return {
+      number,
+      step,
+      tool: call.name,
+      arguments: call.arguments || {},
+      summary: output.summary,
+      // The model and the trace only ever see masked values
+      result: this.chatbot.mask(
+        this.chatbot.contextBuilder.counter.truncate(output.text, RESULT_TOKENS),
+        state.role
+      ),
+      ms: Date.now() - startTime,
+    };
+  }
+}
+
+// One collapsed line per call for the REPL...
+function formatStep(entry) {
+  const args = Object.entries(entry.arguments)
+    .map(([name, value]) => `${name}: ${JSON.stringify(value)}`)
+    .join(", ");
+  return `🔧 ${entry.number}. ${entry.tool}(${args}) → ${entry.summary} (${entry.ms}ms)`;
+}
+
+// ...and the whole call and result when expanded with /trace
+function formatTrace(trace, only = null) {
+  const entries = only ? trace.filter((entry) => entry.number === only) : trace;
+  return entries
+    .map((entry) => {
+      const result = entry.result
+        .split("\n")
+        .map((line) => `     ${line}`)
+        .join("\n");
+      return `${formatStep(entry)}\n   arguments: ${JSON.stringify(
+        entry.arguments
+      )}\n   result:\n${result}`;
+    })
+    .join("\n\n");
+}
+
+module.exports = { Agent, MAX_STEPS, formatStep, formatTrace };
@@ -0,0 +1,84 @@
+// Contract every vector store backend implements.
+//
+// Records passed to upsert() look like:
+//   { id, vector, text, metadata: { doc_type, source, ... } }
+// and query() always resolves to the same normalized shape, whatever the
+// store returns natively:
+//   [{ id, text, metadata, score }]
+// where a higher score means a closer match. query() also takes an optional
+// normalized metadata filter (see lib/filter.js) that backends push down to
+// their native filtering.
+class VectorStoreBackend {
+  constructor(options = {}) {
+    this.options = options;
+    this.displayName = "Vector store";
+    this.isConnected = false;
+    // Dimension of the embedding provider in use, so stores can be created
+    // (or recreated) to match it
+    this.dimension = options.dimension || null;
+  }
+
+  // Stores built with a different embedding dimension can never be queried
+  // with the current provider, so backends drop them on connect and let the
+  // chatbot rebuild the knowledge base.
+  isStaleDimension(existingDimension) {
+    if (!this.dimension || !existingDimension) {
+      return false;
+    }
+    if (existingDimension === this.dimension) {
+      return false;
+    }
+
+    console.log(
+      `⚠️ ${this.displayName} store holds ${existingDimension}-dimensional vectors but the embedding provider produces ${this.dimension}. Recreating it...`
+    );
+    return true;
+  }
+
+  // Identifies the underlying collection/index/table so the sync manifest
+  // (see lib/sync.js) can be kept per store. null means "not persistent".
+  get storeId() {
+    return null;
+  }
+
+  // `signal` is aborted when the caller gives up on connecting; backends
+  // that wait (for an index to be created, say) stop waiting
+  async connect({ signal } = {}) {
+    throw new Error(`${this.displayName} backend does not implement connect()`);
+  }
+
+  async upsert(records) {
+    throw new Error(`${this.displayName} backend does not implement upsert()`);
+  }
+
+  async query(vector, { limit = 4, filter = null } = {}) {
+    throw new Error(`${this.displayName} backend does not implement query()`);
+  }
+
+  async delete(ids) {
+    throw new Error(`${this.displayName} backend does not implement delete()`);
+  }
+
+  // Called once after each ingest, sync or watch update, for stores that
+  // only persist their writes on demand
+  async flush() {}
+
+  async count() {
+    throw new Error(`${this.displayName} backend does not implement count()`);
+  }
+
+  async drop() {
+    throw new Error(`${this.displayName} backend does not implement drop()`);
+  }
+
+  // Backend-specific lines for the "status" command
+  describe() {
+    return [
+      `- ${this.displayName}: ${
+        this.isConnected ? "✅ Connected" : "❌ Not connected"
+      }`,
+    ];
+  }
+}
+
+module.exports = { VectorStoreBackend };
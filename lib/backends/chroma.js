@@ -0,0 +1,172 @@
+const { ChromaClient } = require("chromadb");
+const { OpenAIEmbeddingFunction } = require("@chroma-core/openai");
+const { toMongoFilter } = require("../filter");
+const { VectorStoreBackend } = require("./base");
+
+const COLLECTION_NAME = "rag-documents";
+
+class ChromaBackend extends VectorStoreBackend {
+  constructor(options = {}) {
+    super(options);
+    this.displayName = "ChromaDB";
+    this.collectionName = options.collectionName || COLLECTION_NAME;
+    this.host = options.host || process.env.CHROMA_HOST || "localhost";
+    this.port = Number(options.port || process.env.CHROMA_PORT || 8000);
+    this.ssl = options.ssl ?? process.env.CHROMA_SSL === "true";
+    this.client = null;
+    this.collection = null;
+    // We always pass our own embeddings; the embedding function only matters
+    // to other clients reading the collection
+    this.embedder =
+      options.embeddingProvider === "openai"
+        ? new OpenAIEmbeddingFunction({
+            apiKey: process.env.OPENAI_API_KEY,
+            modelName: options.embeddingModel,
+          })
+        : undefined;
+  }
+
+  get storeId() {
+    return `chroma-${this.collectionName}`;
+  }
+
+  get url() {
+    return `${this.ssl ? "https" : "http"}://${this.host}:${this.port}`;
+  }
+
+  async connect() {
+    const initStartTime = Date.now();
+    console.log(
+      `⏱️ [${new Date().toISOString()}] Connecting to ChromaDB at ${this.url}...`
+    );
+
+    try {
+      this.client = new ChromaClient({
+        host: this.host,
+        port: this.port,
+        ssl: this.ssl,
+      });
+
+      // Test connection with heartbeat
+      await this.client.heartbeat();
+      this.isConnected = true;
+      console.log(`✅ Connected to ChromaDB successfully`);
+
+      const connectTime = Date.now() - initStartTime;
+      console.log(`⏱️ ChromaDB connection: ${connectTime}ms`);
+    } catch (error) {
+      const connectTime = Date.now() - initStartTime;
+      console.error(
+        `❌ ChromaDB connection failed after ${connectTime}ms:`,
+        error.message
+      );
+      console.error(`Make sure ChromaDB is running at ${this.url}`);
+      console.error(
+        "Start ChromaDB with: docker run -p 8000:8000 chromadb/chroma"
+      );
+      throw error;
+    }
+
+    await this.ensureCollection();
+
+    const sample = await this.collection.get({
+      limit: 1,
+      include: ["embeddings"],
+    });
+    if (this.isStaleDimension(sample.embeddings?.[0]?.length)) {
+      await this.drop();
+      await this.ensureCollection();
+    }
+  }
+
+  async ensureCollection() {
+    if (this.collection) {
+      return this.collection;
+    }
+
+    this.collection = await this.client.getOrCreateCollection({
+      name: this.collectionName,
+      metadata: {
+        description: "RAG chatbot document embeddings",
+        "hnsw:space": "cosine",
+        ...(this.dimension ? { dimension: this.dimension } : {}),
+      },
+      embeddingFunction: this.embedder,
+    });
+
+    return this.collection;
+  }
+
+  async upsert(records) {
+    if (records.length === 0) {
+      return;
+    }
+
+    const collection = await this.ensureCollection();
+    await collection.upsert({
+      ids: records.map((record) => record.id),
+      embeddings: records.map((record) => record.vector),
+      documents: records.map((record) => record.text),
+      metadatas: records.map((record) => record.metadata),
+    });
+  }
+
+  async query(vector, { limit = 4, filter = null } = {}) {
+    const collection = await this.ensureCollection();
+    const results = await collection.query({
+      queryEmbeddings: [vector],
+      nResults: limit,
+      where: toMongoFilter(filter),
+      include: ["documents", "metadatas", "distances"],
+    });
+
+    const formattedResults = [];
+    const documents = results.documents[0] || [];
+    for (let i = 0; i < documents.length; i++) {
+      formattedResults.push({
+        id: results.ids[0][i],
+        text: documents[i],
+        metadata: results.metadatas[0][i],
+        // Cosine distance -> similarity
+        score: 1 - results.distances[0][i],
+      });
+    }
+
+    return formattedResults;
+  }
+
+  async delete(ids) {
+    if (ids.length === 0) {
+      return;
+    }
+
+    const collection = await this.ensureCollection();
+    await collection.delete({ ids });
+  }
+
+  async count() {
+    const collection = await this.ensureCollection();
+    return collection.count();
+  }
+
+  async drop() {
+    try {
+      await this.client.deleteCollection({ name: this.collectionName });
+      console.log("🗑️ Deleted existing collection");
+    } catch (error) {
+      // Collection might not exist, that's OK
+      console.log("No existing collection to delete");
+    }
+
+    this.collection = null;
+  }
+
+  describe() {
+    return [
+      `- ChromaDB: ${this.isConnected ? "✅ Connected" : "❌ Not connected"} (${this.url})`,
+      `- Collection: ${this.collection ? "✅ Available" : "❌ Not available"} (${this.collectionName})`,
+    ];
+  }
+}
+
+module.exports = { ChromaBackend };
@@ -0,0 +1,25 @@
+// Backends are required lazily so that, for example, running the in-memory
+// bot does not need the Pinecone or LanceDB clients to be installed.
+const BACKENDS = {
+  local: () => require("./local").LocalBackend,
+  memory: () => require("./memory").MemoryBackend,
+  chroma: () => require("./chroma").ChromaBackend,
+  lancedb: () => require("./lancedb").LanceDBBackend,
+  pinecone: () => require("./pinecone").PineconeBackend,
+};
+
+function createBackend(name, options = {}) {
+  const loadBackend = BACKENDS[name];
+  if (!loadBackend) {
+    throw new Error(
+      `Unknown backend "${name}". Available backends: ${Object.keys(
+        BACKENDS
+      ).join(", ")}`
+    );
+  }
+
+  const Backend = loadBackend();
+  return new Backend(options);
+}
+
+module.exports = { BACKENDS, createBackend };
@@ -0,0 +1,152 @@
+const lancedb = require("@lancedb/lancedb");
+const { VectorStoreBackend } = require("./base");
+
+const TABLE_NAME = "documents";
+const LANCEDB_API_KEY = process.env.LANCEDB_API_KEY;
+
+// LanceDB predicates are SQL, so string literals need their quotes doubled
+function sqlString(value) {
+  return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+class LanceDBBackend extends VectorStoreBackend {
+  constructor(options = {}) {
+    super(options);
+    this.displayName = "LanceDB";
+    this.tableName = options.tableName || TABLE_NAME;
+    this.uri = options.uri || process.env.LANCEDB_URI;
+    this.region = options.region || process.env.LANCEDB_REGION || "us-east-1";
+    this.db = null;
+    this.table = null;
+  }
+
+  get storeId() {
+    return `lancedb-${this.tableName}`;
+  }
+
+  async connect() {
+    const initStartTime = Date.now();
+    console.log(`⏱️ [${new Date().toISOString()}] Connecting to LanceDB...`);
+
+    try {
+      this.db = await lancedb.connect({
+        uri: this.uri,
+        apiKey: LANCEDB_API_KEY,
+        region: this.region,
+        streams: true,
+      });
+      this.isConnected = true;
+
+      const connectTime = Date.now() - initStartTime;
+      console.log(`⏱️ LanceDB connection: ${connectTime}ms`);
+      console.log("✅ Connected to LanceDB successfully");
+    } catch (error) {
+      const connectTime = Date.now() - initStartTime;
+      console.error(
+        `❌ LanceDB connection failed after ${connectTime}ms:`,
+        error.message
+      );
+      throw error;
+    }
+
+    const tableNames = await this.db.tableNames();
+    if (tableNames.includes(this.tableName)) {
+      this.table = await this.db.openTable(this.tableName);
+
+      // The vector column is a fixed-size list sized by the first write
+      const schema = await this.table.schema();
+      const vectorField = schema.fields.find((field) => field.name === "vector");
+      if (this.isStaleDimension(vectorField?.type?.listSize)) {
+        await this.drop();
+      }
+    }
+  }
+
+  // Metadata fields become top-level columns so they can be filtered on
+  toRow(record) {
+    return {
+      ...record.metadata,
+      id: record.id,
+      text: record.text,
+      vector: record.vector,
+    };
+  }
+
+  async upsert(records) {
+    if (records.length === 0) {
+      return;
+    }
+
+    const rows = records.map((record) => this.toRow(record));
+
+    // The table schema is inferred from the first batch written to it
+    if (!this.table) {
+      this.table = await this.db.createTable(this.tableName, rows);
+      return;
+    }
+
+    await this.table
+      .mergeInsert("id")
+      .whenMatchedUpdateAll()
+      .whenNotMatchedInsertAll()
+      .execute(rows);
+  }
+
+  async query(vector, { limit = 4, filter = null } = {}) {
+    if (!this.table) {
+      return [];
+    }
+
+    let search = this.table.search(vector).distanceType("cosine");
+    if (filter) {
+      // Metadata fields are top-level columns (see toRow), so this is a
+      // plain SQL predicate evaluated before the vector search
+      search = search.where(
+        Object.entries(filter)
+          .map(([field, values]) => `${field} IN (${values.map(sqlString).join(", ")})`)
+          .join(" AND ")
+      );
+    }
+    const rows = await search.limit(limit).toArray();
+
+    return rows.map(({ id, text, vector, _distance, ...metadata }) => ({
+      id,
+      text,
+      metadata,
+      // Cosine distance -> similarity
+      score: 1 - _distance,
+    }));
+  }
+
+  async delete(ids) {
+    if (!this.table || ids.length === 0) {
+      return;
+    }
+
+    await this.table.delete(`id IN (${ids.map(sqlString).join(", ")})`);
+  }
+
+  async count() {
+    return this.table ? this.table.countRows() : 0;
+  }
+
+  async drop() {
+    try {
+      await this.db.dropTable(this.tableName);
+      console.log("🗑️ Dropped existing table");
+    } catch (error) {
+      // Table might not exist, that's OK
+    }
+
+    this.table = null;
+  }
+
+  describe() {
+    return [
+      `- LanceDB: ${this.isConnected ? "✅ Connected" : "❌ Not connected"}`,
+      `- Table: ${this.table ? "✅ Available" : "❌ Not available"} (${this.tableName})`,
+    ];
+  }
+}
+
+module.exports = { LanceDBBackend, sqlString };
@@ -0,0 +1,166 @@
+const fs = require("fs");
+const path = require("path");
+const { MemoryBackend } = require("./memory");
+
+const DB_NAME = "vector_db";
+// Stores written before vector files were versioned
+const LEGACY_VECTORS_FILE = "vectors.f32";
+const METADATA_FILE = "metadata.json";
+
+// File-backed variant of the in-memory store. Vectors are kept in one flat
+// Float32 file and everything else (ids, text, metadata) in a JSON file next
+// to it, so restarting the bot does not re-embed the knowledge base.
+//
+// Writes stay in memory until flush(), which the chatbot calls once per
+// ingest, sync or watch update. Each flush writes a new generation of the
+// vectors file and then swaps in the metadata that names it, so the rename
+// of metadata.json is the single step that commits both.
+class LocalBackend extends MemoryBackend {
+  constructor(options = {}) {
+    super(options);
+    this.displayName = "Local";
+    this.directory = options.directory || DB_NAME;
+    this.generation = 0;
+    this.dirty = false;
+  }
+
+  get storeId() {
+    return `local-${this.directory}`;
+  }
+
+  get metadataPath() {
+    return path.join(this.directory, METADATA_FILE);
+  }
+
+  vectorsPath(file) {
+    return path.join(this.directory, file);
+  }
+
+  async connect() {
+    this.isConnected = true;
+
+    if (!fs.existsSync(this.metadataPath)) {
+      console.log(`No local vector index found in ${this.directory}/`);
+      return;
+    }
+
+    const loadStartTime = Date.now();
+    const {
+      dimension,
+      entries,
+      generation = 0,
+      vectors: vectorsFile = LEGACY_VECTORS_FILE,
+    } = JSON.parse(fs.readFileSync(this.metadataPath, "utf8"));
+
+    if (this.isStaleDimension(dimension)) {
+      await this.drop();
+      return;
+    }
+
+    if (!fs.existsSync(this.vectorsPath(vectorsFile))) {
+      throw new Error(
+        `Local vector index in ${this.directory}/ is corrupt (${vectorsFile} is missing). Run "rebuild".`
+      );
+    }
+    const buffer = fs.readFileSync(this.vectorsPath(vectorsFile));
+    const vectors = new Float32Array(
+      buffer.buffer,
+      buffer.byteOffset,
+      buffer.byteLength / Float32Array.BYTES_PER_ELEMENT
+    );
+
+    if (vectors.length !== entries.length * dimension) {
+      throw new Error(
+        `Local vector index in ${this.directory}/ is corrupt (${vectors.length} values for ${entries.length} x ${dimension}). Run "rebuild".`
+      );
+    }
+
+    this.dimension = dimension;
+    this.generation = generation;
+    entries.forEach((entry, i) => {
+      this.records.set(entry.id, {
+        ...entry,
+        vector: Array.from(vectors.subarray(i * dimension, (i + 1) * dimension)),
+      });
+    });
+
+    console.log(
+      `✅ Loaded ${entries.length} vectors from ${this.directory}/ in ${
+        Date.now() - loadStartTime
+      }ms`
+    );
+  }
+
+  async upsert(records) {
+    await super.upsert(records);
+    this.dirty = true;
+  }
+
+  async delete(ids) {
+    await super.delete(ids);
+    this.dirty = true;
+  }
+
+  async flush() {
+    if (this.dirty) {
+      this.save();
+      this.dirty = false;
+    }
+  }
+
+  async drop() {
+    await super.drop();
+    this.dirty = false;
+    this.generation = 0;
+    fs.rmSync(this.directory, { recursive: true, force: true });
+  }
+
+  save() {
+    const records = [...this.records.values()];
+    if (records.length > 0) {
+      this.dimension = records[0].vector.length;
+    }
+
+    const vectors = new Float32Array(records.length * (this.dimension || 0));
+    const entries = records.map((record, i) => {
+      if (record.vector.length !== this.dimension) {
+        throw new Error(
+          `Cannot store a ${record.vector.length}-dimensional vector in a ${this.dimension}-dimensional index`
+        );
+      }
+      vectors.set(record.vector, i * this.dimension);
+      return { id: record.id, text: record.text, metadata: record.metadata };
+    });
+
+    fs.mkdirSync(this.directory, { recursive: true });
+
+    // A crash before the metadata rename leaves the previous generation in
+    // place, whole; after it, the new one
+    const generation = this.generation + 1;
+    const vectorsFile = `vectors.${generation}.f32`;
+    const tmpMetadata = `${this.metadataPath}.tmp`;
+    fs.writeFileSync(this.vectorsPath(vectorsFile), Buffer.from(vectors.buffer));
+    fs.writeFileSync(
+      tmpMetadata,
+      JSON.stringify({ dimension: this.dimension, generation, vectors: vectorsFile, entries })
+    );
+    fs.renameSync(tmpMetadata, this.metadataPath);
+    this.generation = generation;
+
+    for (const file of fs.readdirSync(this.directory)) {
+      if (/^vectors(\.\d+)?\.f32$/.test(file) && file !== vectorsFile) {
+        fs.rmSync(this.vectorsPath(file), { force: true });
+      }
+    }
+  }
+
+  describe() {
+    return [
+      `- Local index: ${
+        this.records.size > 0 ? "✅ Available" : "❌ Empty"
+      } (${this.directory}/, ${this.dimension || "?"} dimensions)`,
+    ];
+  }
+}
+
+module.exports = { LocalBackend, DB_NAME };
@@ -0,0 +1,68 @@
+const { matchesFilter } = require("../filter");
+const { VectorStoreBackend } = require("./base");
+
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+
+  if (normA === 0 || normB === 0) {
+    return 0;
+  }
+
+  return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+// Zero-infrastructure backend: vectors live in process memory only
+class MemoryBackend extends VectorStoreBackend {
+  constructor(options = {}) {
+    super(options);
+    this.displayName = "In-Memory";
+    this.records = new Map();
+  }
+
+  async connect() {
+    this.isConnected = true;
+  }
+
+  async upsert(records) {
+    for (const record of records) {
+      this.records.set(record.id, record);
+    }
+  }
+
+  async query(vector, { limit = 4, filter = null } = {}) {
+    return [...this.records.values()]
+      .filter((record) => matchesFilter(record.metadata, filter))
+      .map((record) => ({
+        id: record.id,
+        text: record.text,
+        metadata: record.metadata,
+        score: cosineSimilarity(vector, record.vector),
+      }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  async delete(ids) {
+    for (const id of ids) {
+      this.records.delete(id);
+    }
+  }
+
+  async count() {
+    return this.records.size;
+  }
+
+  async drop() {
+    this.records.clear();
+  }
+}
+
+module.exports = { MemoryBackend, cosineSimilarity };
@@ -0,0 +1,168 @@
+const { Pinecone } = require("@pinecone-database/pinecone");
+const { toMongoFilter } = require("../filter");
+const { VectorStoreBackend } = require("./base");
+
+const INDEX_NAME = "rag-documents";
+const PINECONE_API_KEY = process.env.PINECONE_API_KEY;
+
+// Pinecone caps the size of a single upsert request
+const UPSERT_BATCH_SIZE = 100;
+
+class PineconeBackend extends VectorStoreBackend {
+  constructor(options = {}) {
+    super(options);
+    this.displayName = "Pinecone";
+    this.indexName = options.indexName || INDEX_NAME;
+    // Where a new serverless index is created
+    this.cloud = options.cloud || process.env.PINECONE_CLOUD || "aws";
+    this.region = options.region || process.env.PINECONE_REGION || "us-east-1";
+    this.pinecone = null;
+    this.index = null;
+  }
+
+  get storeId() {
+    return `pinecone-${this.indexName}`;
+  }
+
+  async connect({ signal } = {}) {
+    const initStartTime = Date.now();
+    console.log(`⏱️ [${new Date().toISOString()}] Connecting to Pinecone...`);
+
+    try {
+      if (!PINECONE_API_KEY || PINECONE_API_KEY === "your-pinecone-api-key") {
+        throw new Error("PINECONE_API_KEY environment variable is required!");
+      }
+
+      this.pinecone = new Pinecone({
+        apiKey: PINECONE_API_KEY,
+      });
+      this.isConnected = true;
+
+      const connectTime = Date.now() - initStartTime;
+      console.log(`⏱️ Pinecone connection: ${connectTime}ms`);
+      console.log("✅ Connected to Pinecone successfully");
+    } catch (error) {
+      const connectTime = Date.now() - initStartTime;
+      console.error(
+        `❌ Pinecone connection failed after ${connectTime}ms:`,
+        error.message
+      );
+      throw error;
+    }
+
+    if (!(await this.checkIndexExists())) {
+      await this.createIndex(signal);
+    } else {
+      // An index's dimension is fixed at creation, so a mismatch means
+      // deleting and recreating the whole index
+      const description = await this.pinecone.describeIndex(this.indexName);
+      if (this.isStaleDimension(description.dimension)) {
+        await this.pinecone.deleteIndex(this.indexName);
+        await this.createIndex(signal);
+      }
+    }
+
+    this.index = this.pinecone.index(this.indexName);
+  }
+
+  async checkIndexExists() {
+    try {
+      const indexList = await this.pinecone.listIndexes();
+      return (
+        indexList.indexes?.some((index) => index.name === this.indexName) ||
+        false
+      );
+    } catch (error) {
+      console.error("Error checking index existence:", error.message);
+      return false;
+    }
+  }
+
+  async createIndex(signal) {
+    console.log(
+      `Creating Pinecone index: ${this.indexName} (${this.cloud} ${this.region})...`
+    );
+
+    await this.pinecone.createIndex({
+      name: this.indexName,
+      dimension: this.dimension || 1536, // text-embedding-3-small by default
+      metric: "cosine",
+      spec: {
+        serverless: {
+          cloud: this.cloud,
+          region: this.region,
+        },
+      },
+    });
+
+    // Wait for index to be ready
+    console.log("Waiting for index to be ready...");
+    let isReady = false;
+    while (!isReady) {
+      // Stop polling once connect() has timed out
+      signal?.throwIfAborted();
+      const indexDescription = await this.pinecone.describeIndex(
+        this.indexName
+      );
+      isReady = indexDescription.status?.ready || false;
+      if (!isReady) {
+        await new Promise((resolve) => setTimeout(resolve, 5000)); // Wait 5 seconds
+      }
+    }
+
+    console.log("✅ Pinecone index created and ready");
+  }
+
+  async upsert(records) {
+    for (let i = 0; i < records.length; i += UPSERT_BATCH_SIZE) {
+      const batch = records.slice(i, i + UPSERT_BATCH_SIZE);
+      await this.index.upsert(
+        batch.map((record) => ({
+          id: record.id,
+          values: record.vector,
+          metadata: { ...record.metadata, text: record.text },
+        }))
+      );
+    }
+  }
+
+  async query(vector, { limit = 4, filter = null } = {}) {
+    const queryResponse = await this.index.query({
+      vector,
+      topK: limit,
+      filter: toMongoFilter(filter),
+      includeMetadata: true,
+    });
+
+    return (queryResponse.matches || []).map((match) => {
+      const { text, ...metadata } = match.metadata || {};
+      return { id: match.id, text, metadata, score: match.score };
+    });
+  }
+
+  async delete(ids) {
+    for (let i = 0; i < ids.length; i += UPSERT_BATCH_SIZE) {
+      await this.index.deleteMany(ids.slice(i, i + UPSERT_BATCH_SIZE));
+    }
+  }
+
+  async count() {
+    const stats = await this.index.describeIndexStats();
+    return stats.totalRecordCount ?? stats.totalVectorCount ?? 0;
+  }
+
+  async drop() {
+    // Keep the (slow to create) index and just clear its vectors
+    await this.index.deleteAll();
+    console.log("🗑️ Cleared existing vectors from index");
+  }
+
+  describe() {
+    return [
+      `- Pinecone: ${this.isConnected ? "✅ Connected" : "❌ Not connected"}`,
+      `- Index: ${this.index ? "✅ Available" : "❌ Not available"} (${this.indexName})`,
+    ];
+  }
+}
+
+module.exports = { PineconeBackend };
@@ -0,0 +1,134 @@
+// In-process BM25 keyword index over the same chunks that go into the vector
+// store. Vector search is weak on exact tokens (client names, tier names,
+// surnames); BM25 is strong on exactly those, so the two are fused.
+
+const { matchesFilter } = require("./filter");
+
+const STOPWORDS = new Set(
+  (
+    "a an and are as at be but by does did do for from had has have he her his " +
+    "how i in is it its me my of on or our she that the their them they this " +
+    "to was we were what when where which who whom why will with you your"
+  ).split(" ")
+);
+
+function tokenize(text) {
+  return (text.toLowerCase().match(/[a-z0-9]+(?:['.][a-z0-9]+)*/g) || [])
+    .map((token) => token.replace(/'s$/, ""))
+    .filter((token) => !STOPWORDS.has(token));
+}
+
+class BM25Index {
+  constructor({ k1 = 1.2, b = 0.75 } = {}) {
+    this.k1 = k1;
+    this.b = b;
+    this.documents = [];
+    this.postings = new Map();
+    this.averageLength = 0;
+  }
+
+  get size() {
+    return this.documents.length;
+  }
+
+  // chunks are LangChain documents carrying metadata.chunk_id
+  build(chunks) {
+    this.documents = [];
+    this.postings = new Map();
+    let totalLength = 0;
+
+    chunks.forEach((chunk, index) => {
+      const tokens = tokenize(chunk.pageContent);
+      const termFrequencies = new Map();
+      for (const token of tokens) {
+        termFrequencies.set(token, (termFrequencies.get(token) || 0) + 1);
+      }
+
+      for (const [term, frequency] of termFrequencies) {
+        if (!this.postings.has(term)) {
+          this.postings.set(term, []);
+        }
+        this.postings.get(term).push({ index, frequency });
+      }
+
+      this.documents.push({
+        id: chunk.metadata.chunk_id,
+        text: chunk.pageContent,
+        metadata: chunk.metadata,
+        length: tokens.length,
+      });
+      totalLength += tokens.length;
+    });
+
+    this.averageLength = this.documents.length
+      ? totalLength / this.documents.length
+      : 0;
+    return this;
+  }
+
+  // Swaps the chunks of the given files for new ones (none for a deleted
+  // file) in a single rebuild, however many files a sync touched
+  replaceSources(sources, chunks) {
+    const replaced = new Set(sources);
+    const kept = this.documents
+      .filter((document) => !replaced.has(document.metadata.source))
+      .map((document) => ({ pageContent: document.text, metadata: document.metadata }));
+    return this.build([...kept, ...chunks]);
+  }
+
+  search(query, limit = 4, filter = null) {
+    const scores = new Map();
+    const documentCount = this.documents.length;
+
+    for (const term of new Set(tokenize(query))) {
+      const postings = this.postings.get(term);
+      if (!postings) {
+        continue;
+      }
+
+      const idf = Math.log(
+        1 + (documentCount - postings.length + 0.5) / (postings.length + 0.5)
+      );
+      for (const { index, frequency } of postings) {
+        if (!matchesFilter(this.documents[index].metadata, filter)) {
+          continue;
+        }
+        const lengthNorm =
+          1 - this.b + (this.b * this.documents[index].length) / this.averageLength;
+        const termScore =
+          (idf * frequency * (this.k1 + 1)) / (frequency + this.k1 * lengthNorm);
+        scores.set(index, (scores.get(index) || 0) + termScore);
+      }
+    }
+
+    return [...scores.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, limit)
+      .map(([index, score]) => {
+        const { id, text, metadata } = this.documents[index];
+        return { id, text, metadata, score };
+      });
+  }
+}
+
+// Weighted reciprocal rank fusion: each list contributes weight / (k + rank)
+// for every result it contains. Only ranks matter, so BM25 scores and cosine
+// similarities never have to be put on the same scale.
+function reciprocalRankFusion(lists, { k = 60 } = {}) {
+  const fused = new Map();
+
+  for (const { name, results, weight = 1 } of lists) {
+    results.forEach((result, rank) => {
+      if (!fused.has(result.id)) {
+        fused.set(result.id, { ...result, score: 0, scores: {} });
+      }
+      const entry = fused.get(result.id);
+      entry.score += weight / (k + rank + 1);
+      entry.scores[name] = result.score;
+    });
+  }
+
+  return [...fused.values()].sort((a, b) => b.score - a.score);
+}
+
+module.exports = { BM25Index, reciprocalRankFusion, tokenize };
@@ -0,0 +1,1652 @@
+const fs = require("fs");
+const path = require("path");
+const readline = require("readline");
+const { glob } = require("glob");
+require("dotenv").config();
+
+// Using LangChain.js for document processing only
+const { DirectoryLoader } = require("langchain/document_loaders/fs/directory");
+const { RecursiveCharacterTextSplitter } = require("langchain/text_splitter");
+
+const { createBackend } = require("./backends");
+const { BM25Index, reciprocalRankFusion } = require("./bm25");
+const {
+  BackendUnavailable,
+  EmbeddingError,
+  GenerationError,
+  RetrievalError,
+  describeError,
+} = require("./errors");
+const { EmbeddingPipeline } = require("./ingest");
+const { createLoaders, unsupportedFiles } = require("./loaders");
+const { ContextBuilder } = require("./context-builder");
+const { Agent, MAX_STEPS, formatStep, formatTrace } = require("./agent");
+const { formatConfig } = require("./config");
+const { ContractsLedger, PRODUCTS } = require("./contracts");
+const { EmployeeDirectory } = require("./employees");
+const { describeFilter, matchesFilter, normalizeFilter } = require("./filter");
+const { QueryRewriter } = require("./query-rewriter");
+const { RedactionStream, Redactor } = require("./redaction");
+const { KnowledgeBaseWatcher } = require("./watcher");
+const { ChatSession, SessionStore } = require("./sessions");
+const { isConnectionError, withRetry } = require("./retry");
+const { MarkdownStructureSplitter } = require("./markdown-splitter");
+const {
+  CitationFilter,
+  chunkSection,
+  formatReferences,
+} = require("./citations");
+const { createChatProvider } = require("./providers/chat");
+const { createEmbeddingProvider } = require("./providers/embeddings");
+const { createReranker } = require("./providers/rerankers");
+const {
+  SyncManifest,
+  assignChunkIds,
+  hashContent,
+  planSync,
+} = require("./sync");
+
+// Configuration (defaults for programmatic use; the CLI resolves every
+// setting through lib/config.js)
+const KNOWLEDGE_BASE_DIR = "knowledge-base";
+const RETRIEVAL_MODES = ["hybrid", "vector", "keyword"];
+// markdown: split .md files along headings, tables and list items;
+// recursive: plain fixed-size windows for every file
+const CHUNKING_MODES = ["markdown", "recursive"];
+const CHUNK_SIZE = 1000;
+const CHUNK_OVERLAP = 200;
+const TOP_K = 4;
+const TEMPERATURE = 0.7;
+const MAX_HISTORY_MESSAGES = 20;
+// How many candidates each retriever contributes before fusion
+const HYBRID_CANDIDATES = 20;
+// How many fused candidates a reranker gets to reorder
+const RERANK_CANDIDATES = 20;
+// Deadline for connecting, which includes creating a new Pinecone index
+const CONNECT_TIMEOUT_MS = 10 * 60 * 1000;
+
+// What callers (REPL footer, HTTP responses) get to see about each chunk.
+// `citation` is the [n] the model was told to use for it.
+function formatSources(docs, cited = []) {
+  return docs.map((doc, index) => ({
+    id: doc.id,
+    citation: index + 1,
+    cited: cited.includes(index + 1),
+    doc_type: doc.metadata.doc_type,
+    source: doc.metadata.source,
+    section: chunkSection(doc),
+    score: doc.score,
+    // Only set when a reranker reordered the candidates
+    rerank_score: doc.rerank_score,
+    // Only set when the chunk was cut to fit the context token budget
+    truncated: doc.truncated,
+  }));
+}
+
+function describeIndexUpdate(plan) {
+  const parts = [
+    ["added", plan.added],
+    ["updated", plan.changed],
+    ["removed", plan.removed],
+  ]
+    .filter(([, sources]) => sources.length > 0)
+    .map(([verb, sources]) => `${verb} ${sources.join(", ")}`);
+  if (parts.length === 0) {
+    return null;
+  }
+  return `🔄 Knowledge base ${parts.join("; ")} (${plan.toEmbed.length} chunks embedded, ${
+    plan.toDelete.length
+  } deleted)`;
+}
+
+// One chatbot core shared by every vector store; only the backend adapter
+// (see lib/backends) differs between the Chroma, LanceDB, Pinecone, local
+// and in-memory bots.
+class RAGChatbot {
+  constructor(options = {}) {
+    this.backendName = options.backend || "local";
+    this.embeddings =
+      options.embeddings ||
+      createEmbeddingProvider({
+        provider: options.embedding_provider,
+        model: options.embedding_model,
+        dimension: options.embedding_dimension,
+        baseURL: options.embedding_base_url,
+      });
+    // Attempts and per-attempt timeout for every remote call (lib/retry.js)
+    this.resilience = {
+      retries: Number(options.retries ?? 3),
+      timeoutMs: Number(options.timeout_ms ?? 30000),
+    };
+    if (
+      !Number.isInteger(this.resilience.retries) ||
+      this.resilience.retries < 0 ||
+      !(this.resilience.timeoutMs > 0)
+    ) {
+      throw new Error("Retries must be a non-negative integer and the timeout positive");
+    }
+    this.embeddingPipeline = new EmbeddingPipeline(this.embeddings, {
+      maxBatchTokens: options.embed_batch_tokens,
+      concurrency: options.embed_concurrency,
+      resilience: this.resilience,
+    });
+    this.backend =
+      options.vectorStore ||
+      createBackend(this.backendName, {
+        ...options.backend_options,
+        dimension: this.embeddings.dimension,
+        embeddingProvider: this.embeddings.name,
+        embeddingModel: this.embeddings.model,
+      });
+    this.llm =
+      options.llm ||
+      createChatProvider({
+        provider: options.llm_provider,
+        model: options.model,
+        baseURL: options.llm_base_url,
+      });
+    this.retrieval = {
+      mode: options.retrieval || "hybrid",
+      vectorWeight: Number(options.vector_weight ?? 1),
+      keywordWeight: Number(options.keyword_weight ?? 1),
+    };
+    if (!RETRIEVAL_MODES.includes(this.retrieval.mode)) {
+      throw new Error(
+        `Unknown retrieval mode "${this.retrieval.mode}". Use one of: ${RETRIEVAL_MODES.join(", ")}`
+      );
+    }
+    if (
+      !(this.retrieval.vectorWeight >= 0) ||
+      !(this.retrieval.keywordWeight >= 0)
+    ) {
+      throw new Error("Retrieval weights must be non-negative numbers");
+    }
+    // Resolved settings with their sources, for the "config" command
+    this.config = options.config || null;
+    this.topK = Number(options.k ?? TOP_K);
+    this.temperature = Number(options.temperature ?? TEMPERATURE);
+    this.maxHistory = Number(options.max_history ?? MAX_HISTORY_MESSAGES);
+    // Token budgets for retrieved chunks and conversation history in the prompt
+    this.contextBuilder = new ContextBuilder(this.llm.model, {
+      contextTokens: options.context_tokens,
+      historyTokens: options.history_tokens,
+    });
+    if (
+      !(this.contextBuilder.contextTokens > 0) ||
+      !(this.contextBuilder.historyTokens >= 0)
+    ) {
+      throw new Error(
+        "The context token budget must be positive and the history budget non-negative"
+      );
+    }
+    this.chunkSize = Number(options.chunk_size ?? CHUNK_SIZE);
+    this.chunkOverlap = Number(options.chunk_overlap ?? CHUNK_OVERLAP);
+    this.chunking = options.chunking || "markdown";
+    if (!CHUNKING_MODES.includes(this.chunking)) {
+      throw new Error(
+        `Unknown chunking mode "${this.chunking}". Use one of: ${CHUNKING_MODES.join(", ")}`
+      );
+    }
+    this.keywordIndex = new BM25Index();
+    this.reranker =
+      options.rerankerInstance ||
+      createReranker({
+        provider: options.reranker,
+        model: options.reranker_model,
+        llm: this.llm,
+        resilience: this.resilience,
+      });
+    this.rerankCandidates = Number(
+      options.rerank_candidates ?? RERANK_CANDIDATES
+    );
+    if (!Number.isInteger(this.rerankCandidates) || this.rerankCandidates < 1) {
+      throw new Error("Rerank candidates must be a positive integer");
+    }
+    // Follow-ups are condensed into standalone queries before retrieval
+    this.rewriteQueries = options.rewrite !== false;
+    this.queryRewriter = new QueryRewriter(this.llm, { resilience: this.resilience });
+    // Debug mode prints the query that was actually retrieved on
+    this.debug = Boolean(options.debug);
+    // PII found in the knowledge base (lib/redaction.js) is masked for every
+    // role but "elevated". This is the REPL's role; each chat() call can
+    // pass its own, which the HTTP server does for every request.
+    this.role = options.role || "standard";
+    if (!["standard", "elevated"].includes(this.role)) {
+      throw new Error(`Unknown role "${this.role}". Roles: standard, elevated`);
+    }
+    this.redactor = new Redactor({
+      patterns: options.pii_patterns,
+      compensationSections: options.pii_compensation_sections,
+      performanceSections: options.pii_performance_sections,
+    });
+    this.title = `${this.backend.displayName} RAG Chatbot`;
+    this.manifest = new SyncManifest(
+      this.backend.storeId,
+      this.embeddings.id
+    );
+    // Structured tables parsed from knowledge-base files at ingestion
+    this.contracts = new ContractsLedger(this.backend.storeId);
+    this.employees = new EmployeeDirectory(this.backend.storeId);
+    this.tables = [this.contracts, this.employees];
+    this.chatHistory = [];
+    // The REPL conversation as saved to disk; named once saved or loaded
+    this.sessions = new SessionStore(options.sessions_dir);
+    this.session = new ChatSession();
+    this.startSession = options.session || null;
+    // Filter applied to every REPL question until cleared ("/only contracts")
+    this.scope = null;
+    // Agent mode (lib/agent.js): the model calls tools over several steps
+    this.agentMode = Boolean(options.agent);
+    this.agent = new Agent(this, { maxSteps: options.agent_max_steps ?? MAX_STEPS });
+    // Tool calls behind the last agent answer, for /trace
+    this.lastTrace = [];
+    // --watch: re-index knowledge-base files as they change
+    this.watch = Boolean(options.watch);
+    this.watchDebounceMs = options.watch_debounce_ms;
+    this.watcher = null;
+    // Tail of the queue of rebuilds, syncs and watch updates
+    this.indexing = Promise.resolve();
+    // Knowledge-base files the last full load could not use, with the reason
+    this.skippedFiles = [];
+    this.isInitialized = false;
+    this.documentCount = 0;
+  }
+
+  async initialize() {
+    try {
+      console.log(`Initializing ${this.title}...`);
+      console.log("=".repeat(50));
+
+      await this.embeddings.init();
+      if (this.reranker) {
+        await this.reranker.init();
+      }
+      // Connecting may create the index and wait for it to be ready, which
+      // can take minutes: a retry would start a second create, so there is one
+      // attempt with its own longer deadline
+      await this.backendCall(
+        "Connecting to the vector store",
+        (signal) => this.backend.connect({ signal }),
+        { retries: 0, timeoutMs: Math.max(CONNECT_TIMEOUT_MS, this.resilience.timeoutMs) }
+      );
+      this.manifest.load();
+      this.tables.forEach((table) => table.load());
+
+      // Check if we need to populate the store
+      this.documentCount = await this.backendCall("Counting stored chunks", () =>
+        this.backend.count()
+      );
+
+      if (this.documentCount === 0) {
+        console.log("Vector store is empty. Creating knowledge base...");
+        await this.createKnowledgeBase();
+      } else {
+        console.log("Using existing knowledge base.");
+        if (!this.manifest.exists) {
+          console.log(
+            '⚠️ This store was built without a sync manifest. Run "rebuild" once to enable "sync".'
+          );
+        }
+
+        // The keyword index lives in memory only; chunking is cheap and the
+        // content-hash chunk IDs line up with what is already in the store.
+        // Tables missing from an older store are parsed the same way.
+        const tablesMissing = this.tables.some((table) => !table.exists);
+        if (this.retrieval.mode !== "vector" || tablesMissing) {
+          const documents = await this.loadDocuments();
+          if (this.retrieval.mode !== "vector") {
+            this.loadKeywordIndex(await this.createTextChunks(documents));
+          }
+          if (tablesMissing) {
+            this.resetTables(documents);
+          }
+        }
+      }
+
+      this.isInitialized = true;
+      if (this.startSession) {
+        this.openSession(this.startSession);
+      }
+
+      console.log("=".repeat(50));
+      console.log(`${this.title} initialized successfully!`);
+      console.log(`Knowledge base contains ${this.documentCount} documents.`);
+      console.log("You can now ask questions about your documents.");
+      console.log("Commands:");
+      console.log('  - "rebuild" - Rebuild the knowledge base from documents');
+      console.log(
+        '  - "sync" - Re-embed only new or changed knowledge-base files'
+      );
+      console.log('  - "status" - Show current status');
+      console.log(
+        '  - "contracts [product]" - Show the contracts ledger extracted from knowledge-base/contracts'
+      );
+      console.log('  - "config" - Show the effective settings and where they came from');
+      console.log('  - "debug" - Toggle showing the rewritten search query');
+      console.log(
+        '  - "/only <doc types>" or "/only source <file>" - Search only those documents ("/all" to clear)'
+      );
+      console.log(
+        '  - "@<doc type> <question>" - Search one doc type for a single question'
+      );
+      console.log(
+        '  - "/save [name]", "/load <name>", "/sessions", "/new" - Save, resume, list or start conversations'
+      );
+      console.log(
+        '  - "/agent" - Toggle agent mode; "/trace [n]" expands the tool calls behind the last answer'
+      );
+      console.log('  - "exit" or "quit" - End the conversation');
+      console.log("=".repeat(50));
+    } catch (error) {
+      console.error("Failed to initialize chatbot:", error.message);
+      throw error;
+    }
+  }
+
+  async createKnowledgeBase() {
+    try {
+      const documents = await this.loadDocuments();
+      const chunks = await this.createTextChunks(documents);
+      await this.createVectorStore(chunks);
+      await this.flushStore();
+
+      this.keywordIndex.build(chunks);
+      this.manifest.reset(chunks);
+      this.manifest.save();
+      this.resetTables(documents);
+      this.documentCount = chunks.length;
+    } catch (error) {
+      console.error("Error creating knowledge base:", error.message);
+      throw error;
+    }
+  }
+
+  async loadDocuments() {
+    console.log("Loading documents from knowledge-base...");
+
+    try {
+      // Check if knowledge-base directory exists
+      if (!fs.existsSync(KNOWLEDGE_BASE_DIR)) {
+        console.log(
+          "⚠️ knowledge-base directory not found. Creating example..."
+        );
+        this.createExampleKnowledgeBase();
+        return [];
+      }
+
+      const folders = await glob(`${KNOWLEDGE_BASE_DIR}/*`, {
+        onlyDirectories: true,
+      });
+      const documents = [];
+      const skipped = [];
+
+      if (folders.length === 0) {
+        console.log("⚠️ No folders found in knowledge-base directory");
+        return [];
+      }
+
+      for (const folder of folders) {
+        const docType = path.basename(folder);
+        console.log(`Processing folder: ${docType}`);
+
+        try {
+          // Unsupported files are reported below rather than warned about
+          const loader = new DirectoryLoader(
+            folder,
+            createLoaders(skipped),
+            true,
+            "ignore"
+          );
+
+          const folderDocs = await loader.load();
+          skipped.push(...(await unsupportedFiles(folder)));
+
+          // Add document type metadata
+          documents.push(...this.stampDocuments(folderDocs, docType));
+
+          console.log(
+            `  - Loaded ${folderDocs.length} documents from ${docType}`
+          );
+        } catch (error) {
+          console.error(`  - Error loading from ${docType}:`, error.message);
+        }
+      }
+
+      console.log(`📚 Total documents loaded: ${documents.length}`);
+      this.skippedFiles = skipped.map(({ file, reason }) => ({
+        source: path.relative(KNOWLEDGE_BASE_DIR, file),
+        reason,
+      }));
+      if (this.skippedFiles.length > 0) {
+        console.log(
+          `⚠️ Skipped ${this.skippedFiles.length} files:\n${this.skippedFiles
+            .map(({ source, reason }) => `  - ${source}: ${reason}`)
+            .join("\n")}`
+        );
+      }
+      return documents;
+    } catch (error) {
+      console.error("Error loading documents:", error.message);
+      throw error;
+    }
+  }
+
+  createExampleKnowledgeBase() {
+    const exampleDir = path.join(KNOWLEDGE_BASE_DIR, "example");
+    fs.mkdirSync(exampleDir, { recursive: true });
+
+    const exampleContent = `# Example Document
+
+This is an example document for the RAG chatbot.
+
+## Features
+- Supports markdown files
+- Can handle multiple document types
+- Provides contextual answers
+
+## Usage
+Place your documents in the knowledge-base directory, organized by folders.
+`;
+
+    fs.writeFileSync(path.join(exampleDir, "example.md"), exampleContent);
+    console.log(
+      "📝 Created example knowledge base. Add your documents to knowledge-base/ directory."
+    );
+  }
+
+  // PDFs and CSVs load as one document per page or row; the file hash has to
+  // cover all of them, so sync notices a change on any page
+  stampDocuments(documents, docType) {
+    const contents = new Map();
+    for (const doc of documents) {
+      doc.metadata.doc_type = docType;
+      doc.metadata.source = path.relative(KNOWLEDGE_BASE_DIR, doc.metadata.source);
+      if (doc.metadata.loc?.pageNumber) {
+        doc.metadata.page = doc.metadata.loc.pageNumber;
+      }
+      if (path.extname(doc.metadata.source) === ".csv") {
+        doc.metadata.row = doc.metadata.line || 1;
+      }
+      const source = doc.metadata.source;
+      contents.set(source, [...(contents.get(source) || []), doc.pageContent]);
+    }
+
+    for (const doc of documents) {
+      doc.metadata.file_hash = hashContent(contents.get(doc.metadata.source).join("\n"));
+    }
+    return documents;
+  }
+
+  resetTables(documents) {
+    for (const table of this.tables) {
+      table.reset(documents).save();
+    }
+  }
+
+  // Loads one file by its path relative to knowledge-base/. Deleted files,
+  // unsupported types and files outside a doc-type folder load as nothing,
+  // and so do paths that resolve outside knowledge-base/: the agent passes
+  // model-supplied paths straight through.
+  async loadFile(source) {
+    const filePath = path.join(KNOWLEDGE_BASE_DIR, source);
+    const relative = path.relative(KNOWLEDGE_BASE_DIR, filePath);
+    if (relative.startsWith("..") || path.isAbsolute(relative)) {
+      return [];
+    }
+    const [docType, ...rest] = relative.split(path.sep);
+    const skipped = [];
+    const loader = createLoaders(skipped)[path.extname(relative)];
+    if (rest.length === 0 || !loader || !fs.existsSync(filePath)) {
+      return [];
+    }
+
+    const documents = await loader(filePath).load();
+    for (const { reason } of skipped) {
+      console.log(`⚠️ Skipped ${source}: ${reason}`);
+    }
+    return this.stampDocuments(documents, docType);
+  }
+
+  async createTextChunks(documents) {
+    if (documents.length === 0) {
+      console.log("⚠️ No documents to process");
+      return [];
+    }
+
+    console.log("Creating text chunks...");
+
+    const chunks = await this.splitDocuments(documents);
+    console.log(`📄 Created ${chunks.length} text chunks`);
+    const tagged = chunks.filter((chunk) => chunk.metadata.pii);
+    if (tagged.length > 0) {
+      const kinds = new Set(tagged.flatMap((chunk) => chunk.metadata.pii.split(",")));
+      console.log(`🔒 ${tagged.length} chunks contain PII (${[...kinds].join(", ")})`);
+    }
+
+    // Display document types found
+    const docTypes = [
+      ...new Set(chunks.map((chunk) => chunk.metadata.doc_type)),
+    ];
+    console.log(`📋 Document types found: ${docTypes.join(", ")}`);
+
+    return chunks;
+  }
+
+  async splitDocuments(documents) {
+    const textSplitter = new RecursiveCharacterTextSplitter({
+      chunkSize: this.chunkSize,
+      chunkOverlap: this.chunkOverlap,
+    });
+    const markdownSplitter = new MarkdownStructureSplitter({
+      chunkSize: this.chunkSize,
+      chunkOverlap: this.chunkOverlap,
+    });
+
+    const isMarkdown = (doc) =>
+      this.chunking === "markdown" && /\.md$/i.test(doc.metadata.source);
+    const chunks = assignChunkIds([
+      ...(await markdownSplitter.splitDocuments(documents.filter(isMarkdown))),
+      ...(await textSplitter.splitDocuments(
+        documents.filter((doc) => !isMarkdown(doc))
+      )),
+    ]);
+
+    // Tagged at ingestion so the store records which chunks hold PII
+    for (const chunk of chunks) {
+      chunk.metadata.pii = this.redactor
+        .kinds(chunk.pageContent, { section: chunk.metadata.heading_path })
+        .join(",");
+    }
+    return chunks;
+  }
+
+  // `quiet` leaves out the progress lines, for updates in the middle of a chat
+  async createVectorStore(chunks, { quiet = false } = {}) {
+    if (chunks.length === 0) {
+      console.log("⚠️ No chunks to create vector store");
+      return;
+    }
+
+    if (!quiet) {
+      console.log("Creating embeddings and vector store...");
+    }
+    const embeddingStartTime = Date.now();
+
+    try {
+      const { batches } = await this.embeddingPipeline.run(
+        chunks.map((chunk) => chunk.pageContent),
+        (indexes, vectors) =>
+          this.backendCall("Writing to the vector store", () =>
+            this.backend.upsert(
+              indexes.map((index, i) => {
+                const chunk = chunks[index];
+                return {
+                  id: chunk.metadata.chunk_id,
+                  vector: vectors[i],
+                  text: chunk.pageContent,
+                  metadata: {
+                    doc_type: chunk.metadata.doc_type,
+                    source: chunk.metadata.source,
+                    file_hash: chunk.metadata.file_hash,
+                    content_hash: chunk.metadata.content_hash,
+                    heading_path: chunk.metadata.heading_path || "",
+                    // 0 when the file has no pages or rows
+                    page: chunk.metadata.page || 0,
+                    row: chunk.metadata.row || 0,
+                    // Comma-separated kinds of PII, "" for none
+                    pii: chunk.metadata.pii || "",
+                  },
+                };
+              })
+            )
+          ),
+        { progress: !quiet }
+      );
+
+      if (!quiet) {
+        const totalTime = Date.now() - embeddingStartTime;
+        console.log(
+          `⏱️ Vector store creation: ${totalTime}ms (${chunks.length} chunks in ${batches} batches)`
+        );
+        console.log("✅ Vector store created successfully");
+      }
+    } catch (error) {
+      console.error("❌ Error creating vector store:", error.message);
+      throw error;
+    }
+  }
+
+  async getEmbedding(text) {
+    try {
+      return await withRetry((signal) => this.embeddings.embedQuery(text, { signal }), {
+        label: "Embedding the query",
+        ...this.resilience,
+      });
+    } catch (error) {
+      console.error("❌ Embedding failed:", error.message);
+      throw EmbeddingError.from(error, "Embedding the query failed");
+    }
+  }
+
+  // Indexes the freshly split files for keyword search on start-up, keeping
+  // only the chunks the manifest says are stored: a file edited since the last
+  // sync must not be searchable by keyword but not by vector. Anything that
+  // still doesn't match the store's count is reported.
+  loadKeywordIndex(chunks) {
+    const stored = this.manifest.exists
+      ? new Set(Object.values(this.manifest.files).flatMap((file) => file.chunks))
+      : null;
+    this.keywordIndex.build(
+      stored ? chunks.filter((chunk) => stored.has(chunk.metadata.chunk_id)) : chunks
+    );
+    if (this.keywordIndex.size !== this.documentCount) {
+      console.log(
+        `⚠️ The keyword index has ${this.keywordIndex.size} chunks but the vector store has ${this.documentCount}. Run "sync" to bring them back in line.`
+      );
+    }
+  }
+
+  // Persists the writes of an ingest, sync or watch update in one go, before
+  // the manifest records them
+  async flushStore() {
+    await this.backendCall("Saving the vector store", () => this.backend.flush());
+  }
+
+  // Vector store calls: retried, and reported as BackendUnavailable when the
+  // store can't be reached at all. `options` overrides the retries and timeout.
+  async backendCall(label, fn, options = {}) {
+    try {
+      return await withRetry(fn, { label, ...this.resilience, ...options });
+    } catch (error) {
+      if (isConnectionError(error)) {
+        throw new BackendUnavailable(
+          `${this.backend.displayName} is unreachable (${error.message})`,
+          { cause: error }
+        );
+      }
+      throw RetrievalError.from(error, `${label} failed`);
+    }
+  }
+
+  async retrieveRelevantDocuments(
+    query,
+    { limit = this.topK, filter = null } = {}
+  ) {
+    const searchStartTime = Date.now();
+    filter = normalizeFilter(filter);
+    console.log(
+      `🔍 Searching for relevant documents${
+        filter ? ` (only ${describeFilter(filter)})` : ""
+      }...`
+    );
+
+    try {
+      const { mode, vectorWeight, keywordWeight } = this.retrieval;
+      // With a reranker, over-fetch and let it pick the final top `limit`
+      const pool = this.reranker
+        ? Math.max(limit, this.rerankCandidates)
+        : limit;
+      const candidates =
+        mode === "hybrid" ? Math.max(pool, HYBRID_CANDIDATES) : pool;
+      const lists = [];
+
+      if (mode !== "keyword") {
+        // Get query embedding
+        const queryEmbedding = await this.getEmbedding(query);
+
+        // Perform vector search
+        lists.push({
+          name: "vector",
+          weight: vectorWeight,
+          results: await this.backendCall("Vector search", () =>
+            this.backend.query(queryEmbedding, { limit: candidates, filter })
+          ),
+        });
+      }
+
+      if (mode !== "vector") {
+        lists.push({
+          name: "keyword",
+          weight: keywordWeight,
+          results: this.keywordIndex.search(query, candidates, filter),
+        });
+      }
+
+      let results =
+        lists.length === 1
+          ? lists[0].results.slice(0, pool)
+          : reciprocalRankFusion(lists).slice(0, pool);
+      if (this.reranker) {
+        results = (await this.rerank(query, results)).slice(0, limit);
+      }
+
+      const searchTime = Date.now() - searchStartTime;
+      console.log(`⏱️ Document search: ${searchTime}ms`);
+      console.log(`📚 Found ${results.length} relevant documents`);
+
+      return results;
+    } catch (error) {
+      // No silent [] here: answering without context would be ungrounded
+      console.error(`❌ Search failed:`, error.message);
+      throw RetrievalError.from(error, "Search failed");
+    }
+  }
+
+  async rerank(query, candidates) {
+    const rerankStartTime = Date.now();
+    try {
+      const reranked = await this.reranker.rerank(query, candidates);
+      console.log(
+        `⏱️ Reranking ${candidates.length} candidates: ${Date.now() - rerankStartTime}ms`
+      );
+      return reranked;
+    } catch (error) {
+      // The first-stage order is still a reasonable answer
+      console.error("⚠️ Reranking failed, keeping retrieval order:", error.message);
+      return candidates;
+    }
+  }
+
+  get model() {
+    return this.llm.model;
+  }
+
+  formatChatHistory(history = this.chatHistory) {
+    return history
+      .map((msg) => {
+        return `${msg.role === "user" ? "Human" : "Assistant"}: ${msg.content}`;
+      })
+      .join("\n");
+  }
+
+  // Answers one question. Tokens are handed to onToken as they stream in;
+  // the REPL prints them, the HTTP server forwards them as SSE events.
+  // `history` defaults to the REPL conversation but callers can pass their
+  // own array to keep separate conversations apart. `filter` restricts
+  // retrieval, e.g. { doc_type: "contracts" }. With `agent` the model looks
+  // things up itself, and onStep gets each tool call. `role` decides what PII
+  // the caller may see and defaults to the REPL's.
+  async chat(
+    message,
+    {
+      history = this.chatHistory,
+      onToken = () => {},
+      onStep = () => {},
+      temperature = this.temperature,
+      maxTokens,
+      filter = null,
+      agent = this.agentMode,
+      role = this.role,
+    } = {}
+  ) {
+    try {
+      if (agent) {
+        return await this.agentChat(message, {
+          history,
+          onToken,
+          onStep,
+          temperature,
+          maxTokens,
+          filter,
+          role,
+        });
+      }
+
+      // "what's her salary?" means nothing to a search index on its own
+      const query = this.rewriteQueries
+        ? await this.queryRewriter.rewrite(message, history)
+        : message;
+      if (this.debug) {
+        console.log(`🐛 Search query: "${this.mask(query, role)}"`);
+      }
+
+      // Listing, counting, filtering and aggregate questions about employees
+      // or contracts need every record, not the top few chunks
+      const lookup = this.lookupTables(query, filter);
+      if (lookup?.complete) {
+        return this.answerFromTable(message, query, lookup, { history, onToken, role });
+      }
+
+      // Retrieve relevant documents, then keep what fits the token budgets.
+      // A table that covers only part of the question still narrows down
+      // the records it is about; they go in after the retrieved chunks.
+      const retrieved = [
+        ...(await this.retrieveRelevantDocuments(query, { filter })),
+        ...(lookup ? lookup.documents : []),
+      ];
+      const context = this.contextBuilder.buildContext(this.maskDocuments(retrieved, role));
+      const relevantDocs = context.docs;
+      const recent = this.contextBuilder.buildHistory(history);
+
+      // Format chat history
+      const historyContext =
+        recent.messages.length > 0
+          ? `Previous conversation:\n${this.formatChatHistory(recent.messages)}\n\n`
+          : "";
+
+      // Create the system prompt
+      const systemPrompt = `You are a helpful AI assistant that answers questions based on the provided context documents. Use the information from the documents to provide accurate and helpful responses. If the information isn't available in the context, say so clearly.
+
+Cite the documents that support each claim inline with their number in square brackets, for example [1] or [2, 3], right after the claim. Only cite the numbered documents below.
+
+${historyContext}Context Documents:
+${context.text}
+
+Please answer the following question based on the context provided above.`;
+
+      const messages = [
+        { role: "system", content: systemPrompt },
+        { role: "user", content: message },
+      ];
+      const tokens = this.promptUsage(messages, context.usage, recent.usage);
+
+      // Create streaming chat completion
+      const { tokens: stream, first } = await this.openCompletion(messages, {
+        temperature,
+        maxTokens,
+      });
+
+      // Store user message in history
+      history.push({ role: "user", content: this.mask(message, role) });
+
+      // The model only saw masked context, but the answer may still repeat
+      // PII from the question; it is masked before any of it is sent
+      let answer = "";
+      const citationFilter = new CitationFilter(relevantDocs.length);
+      const redaction = role === "elevated" ? null : new RedactionStream(this.redactor);
+      const send = (content) => {
+        if (content) {
+          onToken(content);
+          answer += content;
+        }
+      };
+      const emit = (content) => send(redaction ? redaction.push(content) : content);
+
+      // Process the stream, dropping citations to documents we never sent
+      try {
+        for (let token = first; !token.done; token = await stream.next()) {
+          emit(citationFilter.push(token.value));
+        }
+      } catch (error) {
+        history.pop();
+        throw GenerationError.from(error, "The answer stream broke off");
+      }
+      emit(citationFilter.flush());
+      if (redaction) {
+        send(redaction.flush());
+      }
+
+      // Store assistant response in history
+      history.push({ role: "assistant", content: answer });
+
+      // Keep chat history manageable (last maxHistory messages)
+      if (history.length > this.maxHistory) {
+        history.splice(0, history.length - this.maxHistory);
+      }
+
+      const cited = [...citationFilter.cited].sort((a, b) => a - b);
+      const sources = formatSources(relevantDocs, cited);
+      return {
+        answer,
+        query: this.mask(query, role),
+        sources,
+        citations: sources.filter((source) => source.cited),
+        tokens,
+        // The documents the answer was generated from, as the model saw them
+        context: relevantDocs,
+      };
+    } catch (error) {
+      console.error("Error during chat:", error.message);
+      throw error;
+    }
+  }
+
+  // The first table that can answer `query` from the records in scope
+  lookupTables(query, filter) {
+    const scope = normalizeFilter(filter);
+    for (const table of this.tables) {
+      const records = table.records.filter((record) => matchesFilter(record, scope));
+      const result = table.query(query, records);
+      if (result) {
+        return {
+          table: table.name,
+          text: table.constructor.format(result),
+          records: result.records,
+          label: (record) => table.label(record),
+          complete: result.complete,
+          documents: result.records.map((record) => table.document(record)),
+        };
+      }
+    }
+    return null;
+  }
+
+  // Answers straight from a structured table: no retrieval, no model call.
+  // Each record cites the file it was parsed from.
+  answerFromTable(message, query, { table, text, records, label, documents }, { history, onToken, role }) {
+    console.log(`🗂️ Answering from the ${table} table (${records.length} records)`);
+    const answer = this.mask(text, role);
+    onToken(answer);
+    this.appendHistory(history, message, answer, role);
+
+    const sources = records.map((record, index) => ({
+      id: `${table}:${record.source}`,
+      citation: index + 1,
+      cited: true,
+      doc_type: record.doc_type,
+      source: record.source,
+      section: label(record),
+      score: null,
+    }));
+    return {
+      answer,
+      query: this.mask(query, role),
+      sources,
+      citations: sources,
+      tokens: null,
+      table,
+      context: documents,
+    };
+  }
+
+  // Text shown to, or stored for, a caller without the elevated role
+  mask(text, role = this.role) {
+    return role === "elevated" || !text ? text : this.redactor.redact(text);
+  }
+
+  // Retrieved chunks with their PII masked before they go into a prompt.
+  // Every chunk is checked, not just the ones tagged at ingestion: the tags
+  // are as old as the chunk, and the patterns may have changed since.
+  maskDocuments(docs, role = this.role) {
+    if (role === "elevated") {
+      return docs;
+    }
+    return docs.map((doc) => ({
+      ...doc,
+      text: this.redactor.redact(doc.text, { section: doc.metadata.heading_path }),
+    }));
+  }
+
+  // Runs the question through the tool-calling agent. The answer arrives in
+  // one piece, since it is only known to be final once no tools are called.
+  async agentChat(message, { history, onToken, onStep, temperature, maxTokens, filter, role }) {
+    const run = await this.agent.run(message, {
+      history,
+      filter,
+      onStep,
+      temperature,
+      maxTokens,
+      role,
+    });
+    this.lastTrace = run.trace;
+    if (run.budgetReached) {
+      console.log(
+        `⏳ Used all ${this.agent.maxSteps} steps; answering with what was found`
+      );
+    }
+    const answer = this.mask(run.answer, role);
+    onToken(answer);
+    this.appendHistory(history, message, answer, role);
+
+    const sources = formatSources(run.documents, run.cited);
+    return {
+      answer,
+      query: this.mask(message, role),
+      sources,
+      citations: sources.filter((source) => source.cited),
+      tokens: null,
+      trace: run.trace,
+      context: run.documents,
+    };
+  }
+
+  appendHistory(history, message, answer, role = this.role) {
+    history.push({ role: "user", content: this.mask(message, role) });
+    history.push({ role: "assistant", content: this.mask(answer, role) });
+    if (history.length > this.maxHistory) {
+      history.splice(0, history.length - this.maxHistory);
+    }
+  }
+
+  // Tool-calling turns are not streamed; retried like any other model call
+  async completeWithTools(messages, tools, options) {
+    try {
+      return await withRetry(
+        (signal) => this.llm.completeWithTools(messages, tools, { ...options, signal }),
+        { label: "Calling the model with tools", ...this.resilience }
+      );
+    } catch (error) {
+      throw GenerationError.from(error, "Generating the answer failed");
+    }
+  }
+
+  // Token counts of each part of the prompt, also logged for the REPL
+  promptUsage(messages, context, history) {
+    const total = messages.reduce(
+      (sum, { content }) => sum + this.contextBuilder.count(content),
+      0
+    );
+    const usage = { total, context, history };
+    const cut = [
+      context.truncated > 0 && `${context.truncated} truncated`,
+      context.dropped > 0 && `${context.dropped} dropped`,
+    ].filter(Boolean);
+    console.log(
+      `🧮 Prompt: ${total} tokens (context ${context.tokens}/${context.budget} for ${
+        context.chunks
+      } chunks${cut.length > 0 ? `, ${cut.join(", ")}` : ""}; history ${
+        history.tokens
+      }/${history.budget} for ${history.messages} messages${
+        history.dropped > 0 ? `, ${history.dropped} older left out` : ""
+      })`
+    );
+    return usage;
+  }
+
+  // Retried until the first token arrives; after that a retry would repeat
+  // text the caller has already shown
+  async openCompletion(messages, options) {
+    try {
+      return await withRetry(
+        async (signal) => {
+          const tokens = this.llm.streamCompletion(messages, { ...options, signal });
+          return { tokens, first: await tokens.next() };
+        },
+        { label: "Generating the answer", ...this.resilience }
+      );
+    } catch (error) {
+      throw GenerationError.from(error, "Generating the answer failed");
+    }
+  }
+
+  async rebuildKnowledgeBase() {
+    try {
+      await this.backendCall("Dropping the vector store", () => this.backend.drop());
+      this.documentCount = 0;
+
+      // Recreate the knowledge base
+      await this.createKnowledgeBase();
+      console.log("✅ Knowledge base rebuilt successfully");
+    } catch (error) {
+      console.error("❌ Error rebuilding knowledge base:", error.message);
+      throw error;
+    }
+  }
+
+  // Brings the store up to date with knowledge-base/ by embedding only new
+  // or changed chunks and deleting the chunks of changed or removed files.
+  async syncKnowledgeBase() {
+    if (
+      !this.manifest.exists ||
+      (await this.backendCall("Counting stored chunks", () => this.backend.count())) === 0
+    ) {
+      console.log("No sync manifest for this store yet. Rebuilding instead...");
+      await this.rebuildKnowledgeBase();
+      return null;
+    }
+
+    const syncStartTime = Date.now();
+    const documents = await this.loadDocuments();
+    const chunks = await this.createTextChunks(documents);
+    const { plan, files } = planSync(this.manifest, chunks);
+
+    if (plan.toDelete.length > 0) {
+      console.log(`🗑️ Deleting ${plan.toDelete.length} stale chunks...`);
+      await this.backendCall("Deleting stale chunks", () =>
+        this.backend.delete(plan.toDelete)
+      );
+    }
+
+    if (plan.toEmbed.length > 0) {
+      await this.createVectorStore(plan.toEmbed);
+    }
+    await this.flushStore();
+
+    this.keywordIndex.build(chunks);
+    this.manifest.files = files;
+    this.manifest.save();
+    this.resetTables(documents);
+    this.documentCount = chunks.length;
+
+    console.log(
+      `⏱️ Sync: ${Date.now() - syncStartTime}ms (${plan.added.length} added, ${
+        plan.changed.length
+      } changed, ${plan.removed.length} removed, ${plan.unchanged} unchanged)`
+    );
+    return plan;
+  }
+
+  // Re-indexes only the given paths under knowledge-base/ (files or whole
+  // folders, including deleted ones): their stale chunks are deleted and
+  // their new chunks embedded. Used by --watch.
+  async syncFiles(changed) {
+    if (!this.manifest.exists) {
+      return this.syncKnowledgeBase();
+    }
+
+    const sources = new Set();
+    for (const name of changed) {
+      const fullPath = path.join(KNOWLEDGE_BASE_DIR, name);
+      if (fs.existsSync(fullPath) && fs.statSync(fullPath).isDirectory()) {
+        for (const file of await glob("**/*", { cwd: fullPath, nodir: true })) {
+          sources.add(path.join(name, file));
+        }
+      } else {
+        sources.add(name);
+      }
+      // A deleted or renamed folder takes its files with it
+      for (const source of Object.keys(this.manifest.files)) {
+        if (source.startsWith(`${name}${path.sep}`)) {
+          sources.add(source);
+        }
+      }
+    }
+
+    const documents = [];
+    for (const source of sources) {
+      documents.push(...(await this.loadFile(source)));
+    }
+    const chunks = await this.splitDocuments(documents);
+    const previous = {};
+    for (const source of sources) {
+      if (this.manifest.files[source]) {
+        previous[source] = this.manifest.files[source];
+      }
+    }
+    const { plan, files } = planSync({ files: previous }, chunks);
+
+    if (plan.toDelete.length > 0) {
+      await this.backendCall("Deleting stale chunks", () =>
+        this.backend.delete(plan.toDelete)
+      );
+    }
+    if (plan.toEmbed.length > 0) {
+      await this.createVectorStore(plan.toEmbed, { quiet: true });
+    }
+    await this.flushStore();
+
+    for (const source of sources) {
+      if (files[source]) {
+        this.manifest.files[source] = files[source];
+      } else {
+        delete this.manifest.files[source];
+      }
+    }
+    this.keywordIndex.replaceSources(sources, chunks);
+    this.manifest.save();
+    for (const table of this.tables) {
+      table.replaceSources([...sources], documents).save();
+    }
+    this.documentCount = Object.values(this.manifest.files).reduce(
+      (count, file) => count + file.chunks.length,
+      0
+    );
+    return plan;
+  }
+
+  // Rebuilds, syncs and watch updates share the store and the manifest, so
+  // they run one after another
+  exclusive(task) {
+    const run = this.indexing.then(task);
+    this.indexing = run.catch(() => {});
+    return run;
+  }
+
+  // Calls onUpdate with a one-line notice whenever a change reached the index.
+  // A watcher that can't start is reported; the chatbot carries on without.
+  startWatching(onUpdate) {
+    const watcher = new KnowledgeBaseWatcher(
+      KNOWLEDGE_BASE_DIR,
+      async (changed) => {
+        const plan = await this.exclusive(() => this.syncFiles(changed));
+        const notice = plan && describeIndexUpdate(plan);
+        if (notice) {
+          onUpdate(notice);
+        }
+      },
+      { debounceMs: this.watchDebounceMs }
+    );
+    try {
+      this.watcher = watcher.start();
+    } catch (error) {
+      watcher.close();
+      console.error(`⚠️ Could not watch ${KNOWLEDGE_BASE_DIR}/ for changes:`, error.message);
+      return null;
+    }
+    console.log(`👀 Watching ${KNOWLEDGE_BASE_DIR}/ for changes`);
+    return this.watcher;
+  }
+
+  stopWatching() {
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
+    }
+  }
+
+  async getStatusInfo() {
+    let documents = null;
+    try {
+      documents = await this.backendCall("Counting stored chunks", () =>
+        this.backend.count()
+      );
+    } catch (error) {
+      console.error("Error fetching count:", error.message);
+    }
+
+    return {
+      backend: this.backendName,
+      connected: this.backend.isConnected,
+      documents,
+      skippedFiles: this.skippedFiles.length,
+      tables: Object.fromEntries(this.tables.map((table) => [table.name, table.size])),
+      chatHistory: this.chatHistory.length,
+      session: this.session.name,
+      sessionTurns: this.session.turns.length,
+      model: this.llm.describe(),
+      embeddings: this.embeddings.describe(),
+      retrieval: this.retrieval,
+      chunking: this.chunking,
+      budget: {
+        context: this.contextBuilder.contextTokens,
+        history: this.contextBuilder.historyTokens,
+      },
+      rewriteQueries: this.rewriteQueries,
+      agent: this.agentMode ? `on, at most ${this.agent.maxSteps} steps` : "off",
+      role: this.role,
+      reranker: this.reranker
+        ? `${this.reranker.describe()}, top ${this.rerankCandidates} candidates`
+        : "off",
+      details: this.backend.describe(),
+    };
+  }
+
+  async getStatus() {
+    const info = await this.getStatusInfo();
+    const documentInfo =
+      info.documents === null ? "Error fetching count" : `${info.documents} chunks`;
+
+    return `📊 System Status:
+${info.details.join("\n")}
+- Documents: ${documentInfo}${
+      info.skippedFiles > 0 ? ` (${info.skippedFiles} files skipped)` : ""
+    }
+- Tables: ${Object.entries(info.tables)
+      .map(([name, size]) => `${name} (${size} records)`)
+      .join(", ")}
+- Chat History: ${info.chatHistory} messages
+- Session: ${info.session ? `"${info.session}"` : "unsaved"} (${
+      info.sessionTurns
+    } turns)
+- Model: ${info.model}
+- Embeddings: ${info.embeddings}
+- Chunking: ${info.chunking}
+- Prompt budget: ${info.budget.context} tokens of context, ${
+      info.budget.history
+    } of history
+- Reranker: ${info.reranker}
+- Agent mode: ${info.agent}
+- PII: ${info.role === "elevated" ? "shown (elevated role)" : "masked (standard role)"}
+- Query rewriting: ${info.rewriteQueries ? "on" : "off"}${
+      this.debug ? " (debug: showing search queries)" : ""
+    }
+- Retrieval: ${info.retrieval.mode} (vector weight ${
+      info.retrieval.vectorWeight
+    }, keyword weight ${info.retrieval.keywordWeight}, ${
+      this.keywordIndex.size
+    } chunks in keyword index)`;
+  }
+
+  // Resumes a saved session, or starts a new one under that name
+  openSession(name) {
+    if (this.sessions.exists(name)) {
+      this.session = this.sessions.load(name);
+      console.log(
+        `📂 Resumed session "${name}" (${this.session.turns.length} turns)`
+      );
+    } else {
+      SessionStore.validateName(name);
+      this.session = new ChatSession({ name });
+      console.log(`📂 Started session "${name}"; it is saved after every answer`);
+    }
+    this.chatHistory = this.session.history(this.maxHistory);
+  }
+
+  saveSession(name = this.session.name) {
+    if (!name) {
+      throw new Error("Name the session first: /save <name>");
+    }
+    SessionStore.validateName(name);
+    this.session.name = name;
+    this.sessions.save(this.session);
+  }
+
+  // Every REPL answer is kept with its sources so it can be audited later
+  recordTurn(turn) {
+    this.session.addTurn({
+      ...turn,
+      question: this.mask(turn.question),
+      query: this.mask(turn.query),
+      answer: this.mask(turn.answer),
+    });
+    if (this.session.name) {
+      try {
+        this.saveSession();
+      } catch (error) {
+        console.error(`⚠️ Could not save session "${this.session.name}":`, error.message);
+      }
+    }
+  }
+
+  // Doc types are the top-level knowledge-base folders
+  knownDocTypes() {
+    return [
+      ...new Set(
+        Object.keys(this.manifest.files).map((source) => source.split(/[\\/]/)[0])
+      ),
+    ];
+  }
+
+  docTypeFilter(names) {
+    const known = this.knownDocTypes();
+    const unknown = names.filter((name) => !known.includes(name));
+    if (known.length > 0 && unknown.length > 0) {
+      throw new Error(
+        `Unknown document type "${unknown[0]}". Available types: ${known.join(", ")}`
+      );
+    }
+    return normalizeFilter({ doc_type: names });
+  }
+
+  // "@products @company what do we sell?" scopes a single question
+  parseScopedQuestion(message) {
+    const match = message.match(/^((?:@[\w-]+[\s,]*)+)([\s\S]*)$/);
+    if (!match) {
+      return { question: message, filter: this.scope };
+    }
+
+    const question = match[2].trim();
+    if (question === "") {
+      throw new Error(`Ask a question after ${match[1].trim()}`);
+    }
+    const names = match[1].match(/@[\w-]+/g).map((name) => name.slice(1));
+    return { question, filter: this.docTypeFilter(names) };
+  }
+
+  // Returns true when the input was a REPL command rather than a question
+  async handleCommand(message) {
+    const command = message.toLowerCase();
+
+    if (command === "/all") {
+      this.scope = null;
+      console.log("\n🔓 Searching all documents again");
+      return true;
+    }
+
+    if (command === "/only" || command.startsWith("/only ")) {
+      const args = message.slice("/only".length).trim();
+      if (args === "") {
+        console.log(
+          this.scope
+            ? `\n🔒 Only searching ${describeFilter(this.scope)}`
+            : `\n🔓 Searching all documents. Doc types: ${this.knownDocTypes().join(", ")}`
+        );
+        return true;
+      }
+
+      const source = args.match(/^source\s+(.+)$/i);
+      this.scope = source
+        ? normalizeFilter({ source: source[1].trim() })
+        : this.docTypeFilter(args.split(/[\s,]+/).filter(Boolean));
+      console.log(
+        `\n🔒 Only searching ${describeFilter(this.scope)} until "/all"`
+      );
+      return true;
+    }
+
+    if (command === "/save" || command.startsWith("/save ")) {
+      this.saveSession(message.slice("/save".length).trim() || undefined);
+      console.log(
+        `\n💾 Saved session "${this.session.name}" (${this.session.turns.length} turns); later answers are saved as you go`
+      );
+      return true;
+    }
+
+    if (command === "/load" || command.startsWith("/load ")) {
+      const name = message.slice("/load".length).trim();
+      if (name === "" || !this.sessions.exists(name)) {
+        throw new Error(
+          name === "" ? "Usage: /load <name>" : `No saved session named "${name}"`
+        );
+      }
+      console.log("");
+      this.openSession(name);
+      return true;
+    }
+
+    if (command === "/sessions") {
+      const saved = this.sessions.list();
+      console.log(
+        saved.length === 0
+          ? '\n📋 No saved sessions yet. Use "/save <name>".'
+          : `\n📋 Saved sessions:\n${saved
+              .map(
+                (session) =>
+                  `  ${session.name === this.session.name ? "*" : " "} ${
+                    session.name
+                  } - ${session.turns} turns, last saved ${session.updatedAt}`
+              )
+              .join("\n")}`
+      );
+      return true;
+    }
+
+    if (command === "/new") {
+      this.session = new ChatSession();
+      this.chatHistory = [];
+      console.log('\n🆕 Started a new conversation ("/save <name>" to keep it)');
+      return true;
+    }
+
+    if (command === "rebuild") {
+      console.log("\n🔄 Rebuilding knowledge base...");
+      await this.exclusive(() => this.rebuildKnowledgeBase());
+      console.log("Knowledge base rebuilt successfully!");
+      return true;
+    }
+
+    if (command === "sync") {
+      console.log("\n🔄 Syncing knowledge base...");
+      const plan = await this.exclusive(() => this.syncKnowledgeBase());
+      if (plan) {
+        console.log(
+          `Embedded ${plan.toEmbed.length} chunks, deleted ${plan.toDelete.length}.`
+        );
+      }
+      return true;
+    }
+
+    if (command === "/agent") {
+      this.agentMode = !this.agentMode;
+      console.log(
+        this.agentMode
+          ? `\n🧭 Agent mode on: the model searches and looks things up itself (at most ${this.agent.maxSteps} steps)`
+          : "\n🧭 Agent mode off: one search per question"
+      );
+      return true;
+    }
+
+    if (command === "/trace" || command.startsWith("/trace ")) {
+      const args = message.slice("/trace".length).trim();
+      const only = args === "" ? null : Number(args);
+      const valid = Number.isInteger(only) && only >= 1 && only <= this.lastTrace.length;
+      if (only !== null && !valid) {
+        console.log(`\nUsage: /trace [1-${this.lastTrace.length}]`);
+      } else {
+        console.log(
+          this.lastTrace.length === 0
+            ? "\n🔧 No tool calls yet. Turn on agent mode with /agent."
+            : `\n${this.mask(formatTrace(this.lastTrace, only))}`
+        );
+      }
+      return true;
+    }
+
+    if (command === "debug") {
+      this.debug = !this.debug;
+      console.log(
+        `\n🐛 Debug mode ${this.debug ? "on: search queries will be shown" : "off"}`
+      );
+      return true;
+    }
+
+    if (command === "config") {
+      console.log(
+        `\n${
+          this.config
+            ? formatConfig(this.config)
+            : "⚙️ This chatbot was constructed directly, not from lib/config.js settings."
+        }`
+      );
+      return true;
+    }
+
+    if (command === "status") {
+      console.log(`\n${await this.getStatus()}`);
+      return true;
+    }
+
+    // "contracts homellm" is a command; "contracts that auto-renew?" a question
+    const product = command.match(/^contracts(?:\s+(\w+))?$/);
+    if (
+      product &&
+      (!product[1] || PRODUCTS.some((name) => name.toLowerCase() === product[1]))
+    ) {
+      const records = this.contracts.records.filter(
+        (record) => !product[1] || record.product.toLowerCase() === product[1]
+      );
+      console.log(
+        records.length === 0
+          ? "\n📑 No contracts in the ledger yet."
+          : `\n📑 Contracts ledger (${records.length}):\n${ContractsLedger.table(records)}`
+      );
+      return true;
+    }
+
+    return false;
+  }
+
+  async startTerminalInterface() {
+    if (!this.isInitialized) {
+      throw new Error("Chatbot not initialized. Call initialize() first.");
+    }
+
+    const rl = readline.createInterface({
+      input: process.stdin,
+      output: process.stdout,
+    });
+
+    // Index updates from --watch land between questions, or mid-answer
+    let waiting = false;
+    if (this.watch) {
+      this.startWatching((notice) => {
+        if (!waiting) {
+          console.log(`\n${notice}`);
+          return;
+        }
+        readline.clearLine(process.stdout, 0);
+        readline.cursorTo(process.stdout, 0);
+        console.log(notice);
+        rl.prompt(true);
+      });
+    }
+
+    const askQuestion = () => {
+      const session = this.session.name ? ` (${this.session.name})` : "";
+      const scope = this.scope ? ` [${describeFilter(this.scope)}]` : "";
+      const mode = this.agentMode ? " (agent)" : "";
+      waiting = true;
+      rl.question(`\n🤖 You${session}${scope}${mode}: `, async (input) => {
+        waiting = false;
+        const message = input.trim();
+
+        if (
+          message.toLowerCase() === "exit" ||
+          message.toLowerCase() === "quit"
+        ) {
+          console.log(`\n👋 Goodbye! Thanks for using the ${this.title}.`);
+          this.stopWatching();
+          rl.close();
+          return;
+        }
+
+        if (message === "") {
+          askQuestion();
+          return;
+        }
+
+        try {
+          if (await this.handleCommand(message)) {
+            askQuestion();
+            return;
+          }
+        } catch (error) {
+          console.error("Command failed:", error.message);
+          askQuestion();
+          return;
+        }
+
+        let scoped;
+        try {
+          scoped = this.parseScopedQuestion(message);
+        } catch (error) {
+          console.error(error.message);
+          askQuestion();
+          return;
+        }
+
+        console.log("\n💬 Bot: ");
+        try {
+          const askedAt = new Date().toISOString();
+          const { answer, query, sources, citations, trace } = await this.chat(
+            scoped.question,
+            {
+              filter: scoped.filter,
+              onToken: (token) => process.stdout.write(token),
+              // Collapsed to one line per call; /trace expands them
+              onStep: (entry) => console.log(this.mask(formatStep(entry))),
+            }
+          );
+          if (trace && trace.length > 0) {
+            console.log(`\n\n🔧 ${trace.length} tool calls ("/trace" to expand)`);
+          }
+          if (citations.length > 0) {
+            console.log(`\n\n${formatReferences(citations)}`);
+          }
+          this.recordTurn({
+            question: scoped.question,
+            query,
+            filter: scoped.filter,
+            answer,
+            sources,
+            askedAt,
+            answeredAt: new Date().toISOString(),
+          });
+        } catch (error) {
+          console.log(`\n${describeError(error)}`);
+        }
+        console.log("\n"); // Add extra line after streaming response
+
+        askQuestion();
+      });
+    };
+
+    askQuestion();
+  }
+}
+
+module.exports = {
+  RAGChatbot,
+  formatSources,
+  KNOWLEDGE_BASE_DIR,
+};
@@ -0,0 +1,128 @@
+// Inline [n] citations. The model is asked to cite the numbered context
+// documents; CitationFilter runs over the streamed answer, drops citations to
+// documents that were never retrieved and remembers which ones were used.
+
+const MAX_CITATION_LENGTH = 24;
+
+class CitationFilter {
+  constructor(documentCount) {
+    this.documentCount = documentCount;
+    this.cited = new Set();
+    // Text that might still turn out to be a citation, e.g. "[1" or "[2, "
+    this.pending = "";
+    // Whitespace is held back so a dropped citation doesn't leave "claim ."
+    this.space = "";
+    this.lastChar = "";
+  }
+
+  push(token) {
+    let output = "";
+
+    for (const char of token) {
+      if (this.pending) {
+        this.pending += char;
+        if (char === "]") {
+          output += this.resolve(this.pending);
+          this.pending = "";
+          this.lastChar = char;
+        } else if (
+          !/^\[[\d,\s]*$/.test(this.pending) ||
+          this.pending.length > MAX_CITATION_LENGTH
+        ) {
+          // Not a citation after all
+          output += this.space + this.pending.slice(0, -1);
+          this.lastChar = this.pending.slice(-2, -1);
+          this.space = "";
+          this.pending = "";
+          output += this.push(char);
+        }
+      } else if (char === "[" && !/\w/.test(this.lastChar)) {
+        // "items[0]" is an index, not a citation
+        this.pending = "[";
+      } else if (/\s/.test(char)) {
+        this.space += char;
+        this.lastChar = char;
+      } else {
+        output += this.space + char;
+        this.space = "";
+        this.lastChar = char;
+      }
+    }
+
+    return output;
+  }
+
+  flush() {
+    const output = this.space + this.pending;
+    this.space = "";
+    this.pending = "";
+    return output;
+  }
+
+  resolve(citation) {
+    const parts = citation.slice(1, -1).split(",").map((part) => part.trim());
+    if (!parts.every((part) => /^\d+$/.test(part))) {
+      const output = this.space + citation;
+      this.space = "";
+      return output;
+    }
+
+    const valid = [...new Set(parts.map(Number))].filter(
+      (number) => number >= 1 && number <= this.documentCount
+    );
+    if (valid.length === 0) {
+      // Citation to a document that was never retrieved: drop it, along
+      // with the whitespace in front of it
+      this.space = "";
+      return "";
+    }
+
+    valid.forEach((number) => this.cited.add(number));
+    const output = `${this.space}[${valid.join(", ")}]`;
+    this.space = "";
+    return output;
+  }
+}
+
+function stripInvalidCitations(text, documentCount) {
+  const filter = new CitationFilter(documentCount);
+  const output = filter.push(text) + filter.flush();
+  return { text: output, cited: [...filter.cited].sort((a, b) => a - b) };
+}
+
+// Best-effort section name for a chunk: its heading path when the splitter
+// recorded one, otherwise the first markdown heading inside the chunk.
+function chunkSection(doc) {
+  if (doc.metadata.heading_path) {
+    return doc.metadata.heading_path;
+  }
+  if (doc.metadata.page) {
+    return `page ${doc.metadata.page}`;
+  }
+  if (doc.metadata.row) {
+    return `row ${doc.metadata.row}`;
+  }
+  const heading = (doc.text || "").match(/^#{1,6}\s+(.+)$/m);
+  return heading ? heading[1].trim() : null;
+}
+
+function formatReferences(citations) {
+  if (citations.length === 0) {
+    return "";
+  }
+
+  const lines = citations.map(
+    ({ citation, source, section, rerank_score: rerankScore }) =>
+      `  [${citation}] ${source}${section ? ` — ${section}` : ""}${
+        rerankScore === undefined ? "" : ` (relevance ${rerankScore.toFixed(2)})`
+      }`
+  );
+  return `📎 References:\n${lines.join("\n")}`;
+}
+
+module.exports = {
+  CitationFilter,
+  chunkSection,
+  formatReferences,
+  stripInvalidCitations,
+};
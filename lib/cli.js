@@ -0,0 +1,97 @@
+const { parseArgs } = require("util");
+const { RAGChatbot } = require("./chatbot");
+const { SETTINGS, loadConfig, toChatbotOptions } = require("./config");
+const { DATASET_FILE, Evaluator, loadDataset, writeReport } = require("./eval");
+const { ChatServer } = require("./server");
+
+// Every setting in lib/config.js with a `flag` becomes a CLI option
+function parseCliArgs(argv, defaults = {}) {
+  const options = {
+    // Serve the HTTP API instead of starting the terminal REPL
+    serve: { type: "boolean", default: false },
+    // rag.config.json / rag.config.yaml in the working directory otherwise
+    config: { type: "string" },
+    // Score the golden dataset and write a report instead of chatting
+    eval: { type: "boolean", default: false },
+    dataset: { type: "string" },
+    "report-dir": { type: "string" },
+  };
+  for (const setting of SETTINGS) {
+    if (setting.flag) {
+      options[setting.flag] = {
+        type: setting.type === "boolean" ? "boolean" : "string",
+      };
+    }
+  }
+
+  const { values } = parseArgs({ args: argv, options });
+
+  // Wrapper scripts pass their defaults under the old option names
+  const { model, ...botDefaults } = defaults;
+  const config = loadConfig({
+    flags: values,
+    defaults: model ? { ...botDefaults, "llm.model": model } : botDefaults,
+  });
+
+  return {
+    ...toChatbotOptions(config),
+    serve: values.serve,
+    eval: values.eval,
+    dataset: values.dataset,
+    report_dir: values["report-dir"],
+  };
+}
+
+async function runEval(chatbot, options) {
+  const dataset = options.dataset || DATASET_FILE;
+  const report = await new Evaluator(chatbot).run(loadDataset(dataset), {
+    dataset,
+  });
+  const files = writeReport(report, options.report_dir);
+
+  console.log("\n📊 Evaluation results:");
+  for (const [metric, value] of Object.entries(report.metrics)) {
+    console.log(`  ${metric}: ${metric === "cases" ? value : value?.toFixed(3) ?? "n/a"}`);
+  }
+  console.log(`📄 Report written to ${files.markdown} and ${files.json}`);
+}
+
+// Main execution
+async function main(argv = process.argv.slice(2), defaults = {}) {
+  // Handle graceful shutdown
+  process.on("SIGINT", () => {
+    console.log(
+      "\n\n👋 Received interrupt signal. Shutting down gracefully..."
+    );
+    process.exit(0);
+  });
+
+  process.on("SIGTERM", () => {
+    console.log(
+      "\n\n👋 Received termination signal. Shutting down gracefully..."
+    );
+    process.exit(0);
+  });
+
+  try {
+    const options = parseCliArgs(argv, defaults);
+    const chatbot = new RAGChatbot(options);
+    await chatbot.initialize();
+
+    if (options.eval) {
+      await runEval(chatbot, options);
+    } else if (options.serve) {
+      if (options.watch) {
+        chatbot.startWatching((notice) => console.log(notice));
+      }
+      await new ChatServer(chatbot).listen(options.port);
+    } else {
+      await chatbot.startTerminalInterface();
+    }
+  } catch (error) {
+    console.error("Fatal error:", error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = { main, parseCliArgs };
@@ -0,0 +1,335 @@
+const fs = require("fs");
+const path = require("path");
+const { BACKENDS } = require("./backends");
+const { CHAT_PROVIDERS } = require("./providers/chat");
+const { EMBEDDING_PROVIDERS } = require("./providers/embeddings");
+const { RERANKERS } = require("./providers/rerankers");
+const { COMPENSATION_SECTIONS, PERFORMANCE_SECTIONS, PII_PATTERNS } = require("./redaction");
+
+// Every tunable setting in one place. Values are layered, later layers
+// winning:
+//   defaults < rag.config.json / .yaml < environment variables
+//     < a wrapper bot's backend < CLI flags
+// Secrets (OPENAI_API_KEY, PINECONE_API_KEY, LANCEDB_API_KEY, LLM_API_KEY,
+// RAG_ELEVATED_TOKEN) are read from the environment only and never appear here.
+const SETTINGS = [
+  { key: "backend", type: "string", default: "local", env: "RAG_BACKEND", flag: "backend", choices: Object.keys(BACKENDS) },
+  { key: "server.port", type: "integer", default: 3000, env: "PORT", flag: "port", min: 0, max: 65535 },
+
+  { key: "llm.provider", type: "string", default: "openai", env: "LLM_PROVIDER", flag: "llm", choices: Object.keys(CHAT_PROVIDERS) },
+  { key: "llm.model", type: "string", env: "LLM_MODEL", flag: "model" },
+  { key: "llm.baseUrl", type: "string", env: "LLM_BASE_URL", flag: "llm-base-url" },
+  { key: "llm.temperature", type: "number", default: 0.7, env: "LLM_TEMPERATURE", flag: "temperature", min: 0, max: 2 },
+
+  { key: "embeddings.provider", type: "string", default: "openai", env: "EMBEDDING_PROVIDER", flag: "embeddings", choices: Object.keys(EMBEDDING_PROVIDERS) },
+  { key: "embeddings.model", type: "string", env: "EMBEDDING_MODEL", flag: "embedding-model" },
+  { key: "embeddings.dimension", type: "integer", env: "EMBEDDING_DIMENSION", min: 1 },
+  { key: "embeddings.baseUrl", type: "string", env: "EMBEDDING_BASE_URL" },
+  { key: "embeddings.batchTokens", type: "integer", default: 20000, flag: "embed-batch-tokens", min: 1 },
+  { key: "embeddings.concurrency", type: "integer", default: 4, flag: "embed-concurrency", min: 1 },
+
+  { key: "chunking.mode", type: "string", default: "markdown", flag: "chunking", choices: ["markdown", "recursive"] },
+  { key: "chunking.size", type: "integer", default: 1000, flag: "chunk-size", min: 100 },
+  { key: "chunking.overlap", type: "integer", default: 200, flag: "chunk-overlap", min: 0 },
+
+  { key: "retrieval.mode", type: "string", default: "hybrid", flag: "retrieval", choices: ["hybrid", "vector", "keyword"] },
+  { key: "retrieval.k", type: "integer", default: 4, env: "RAG_TOP_K", flag: "k", min: 1, max: 50 },
+  { key: "retrieval.vectorWeight", type: "number", default: 1, flag: "vector-weight", min: 0 },
+  { key: "retrieval.keywordWeight", type: "number", default: 1, flag: "keyword-weight", min: 0 },
+  { key: "retrieval.rewrite", type: "boolean", default: true, flag: "no-rewrite", negate: true },
+
+  { key: "reranker.provider", type: "string", default: "none", env: "RERANKER", flag: "rerank", choices: ["none", ...Object.keys(RERANKERS)] },
+  { key: "reranker.model", type: "string", env: "RERANKER_MODEL", flag: "rerank-model" },
+  { key: "reranker.candidates", type: "integer", default: 20, flag: "rerank-candidates", min: 1 },
+
+  { key: "context.maxTokens", type: "integer", default: 3000, env: "RAG_CONTEXT_TOKENS", flag: "context-tokens", min: 100 },
+  { key: "history.maxTokens", type: "integer", default: 1000, env: "RAG_HISTORY_TOKENS", flag: "history-tokens", min: 0 },
+  { key: "history.maxMessages", type: "integer", default: 20, env: "RAG_HISTORY_MESSAGES", flag: "history", min: 0 },
+  { key: "sessions.directory", type: "string", default: ".rag-sessions", env: "RAG_SESSIONS_DIR" },
+  { key: "sessions.name", type: "string", env: "RAG_SESSION", flag: "session" },
+
+  { key: "resilience.retries", type: "integer", default: 3, flag: "retries", min: 0 },
+  { key: "resilience.timeoutMs", type: "integer", default: 30000, flag: "timeout", min: 1 },
+
+  { key: "agent.enabled", type: "boolean", default: false, env: "RAG_AGENT", flag: "agent" },
+  { key: "agent.maxSteps", type: "integer", default: 6, env: "RAG_AGENT_MAX_STEPS", flag: "agent-steps", min: 1, max: 20 },
+
+  { key: "pii.role", type: "string", default: "standard", env: "RAG_ROLE", flag: "role", choices: ["standard", "elevated"] },
+  { key: "pii.compensationSections", type: "pattern", default: COMPENSATION_SECTIONS },
+  { key: "pii.performanceSections", type: "pattern", default: PERFORMANCE_SECTIONS },
+  ...Object.entries(PII_PATTERNS).map(([name, source]) => ({ key: `pii.patterns.${name}`, type: "pattern", default: source })),
+
+  { key: "watch.enabled", type: "boolean", default: false, flag: "watch" },
+  { key: "watch.debounceMs", type: "integer", default: 500, flag: "watch-debounce", min: 0 },
+
+  { key: "debug", type: "boolean", default: false, env: "RAG_DEBUG", flag: "debug" },
+
+  { key: "local.directory", type: "string", default: "vector_db", env: "LOCAL_DB_DIR" },
+  { key: "chroma.host", type: "string", default: "localhost", env: "CHROMA_HOST" },
+  { key: "chroma.port", type: "integer", default: 8000, env: "CHROMA_PORT", min: 1, max: 65535 },
+  { key: "chroma.ssl", type: "boolean", default: false, env: "CHROMA_SSL" },
+  { key: "chroma.collectionName", type: "string", default: "rag-documents", env: "CHROMA_COLLECTION" },
+  { key: "lancedb.uri", type: "string", env: "LANCEDB_URI" },
+  { key: "lancedb.region", type: "string", default: "us-east-1", env: "LANCEDB_REGION" },
+  { key: "lancedb.tableName", type: "string", default: "documents", env: "LANCEDB_TABLE" },
+  { key: "pinecone.indexName", type: "string", default: "rag-documents", env: "PINECONE_INDEX" },
+  { key: "pinecone.cloud", type: "string", default: "aws", env: "PINECONE_CLOUD", choices: ["aws", "gcp", "azure"] },
+  { key: "pinecone.region", type: "string", default: "us-east-1", env: "PINECONE_REGION" },
+];
+
+const CONFIG_FILES = ["rag.config.json", "rag.config.yaml", "rag.config.yml"];
+
+class ConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ConfigError";
+  }
+}
+
+// Env vars and flags arrive as strings; file values may already be typed
+function parseValue(setting, raw, origin) {
+  const fail = (expected) => {
+    throw new ConfigError(
+      `Invalid ${setting.key} from ${origin}: ${JSON.stringify(raw)} (expected ${expected})`
+    );
+  };
+
+  let value = raw;
+  if (setting.type === "integer" || setting.type === "number") {
+    value = typeof raw === "string" && raw.trim() !== "" ? Number(raw) : raw;
+    if (typeof value !== "number" || !Number.isFinite(value)) {
+      fail(setting.type === "integer" ? "an integer" : "a number");
+    }
+    if (setting.type === "integer" && !Number.isInteger(value)) {
+      fail("an integer");
+    }
+    if (setting.min !== undefined && value < setting.min) {
+      fail(`at least ${setting.min}`);
+    }
+    if (setting.max !== undefined && value > setting.max) {
+      fail(`at most ${setting.max}`);
+    }
+  } else if (setting.type === "boolean") {
+    if (typeof raw === "string") {
+      if (!["true", "false", "1", "0"].includes(raw.toLowerCase())) {
+        fail("true or false");
+      }
+      value = ["true", "1"].includes(raw.toLowerCase());
+    } else if (typeof raw !== "boolean") {
+      fail("true or false");
+    }
+  } else if (setting.type === "pattern") {
+    // An empty pattern turns that check off
+    if (typeof raw !== "string") {
+      fail("a regular expression");
+    }
+    try {
+      new RegExp(raw);
+    } catch (error) {
+      fail(`a valid regular expression (${error.message})`);
+    }
+  } else if (typeof raw !== "string" || raw === "") {
+    fail("a non-empty string");
+  }
+
+  if (setting.choices && !setting.choices.includes(value)) {
+    fail(`one of ${setting.choices.join(", ")}`);
+  }
+  return value;
+}
+
+// { llm: { model: "x" } } -> { "llm.model": "x" }
+function flatten(object, prefix = "") {
+  const entries = {};
+  for (const [name, value] of Object.entries(object)) {
+    const key = prefix ? `${prefix}.${name}` : name;
+    if (value && typeof value === "object" && !Array.isArray(value)) {
+      Object.assign(entries, flatten(value, key));
+    } else {
+      entries[key] = value;
+    }
+  }
+  return entries;
+}
+
+function findConfigFile(explicitPath) {
+  if (explicitPath) {
+    if (!fs.existsSync(explicitPath)) {
+      throw new ConfigError(`Config file not found: ${explicitPath}`);
+    }
+    return explicitPath;
+  }
+  return CONFIG_FILES.find((file) => fs.existsSync(file)) || null;
+}
+
+function readConfigFile(filePath) {
+  const text = fs.readFileSync(filePath, "utf8");
+  let data;
+  try {
+    data = /\.ya?ml$/i.test(filePath)
+      ? require("js-yaml").load(text)
+      : JSON.parse(text);
+  } catch (error) {
+    throw new ConfigError(`Cannot parse ${filePath}: ${error.message}`);
+  }
+
+  if (data === null || data === undefined) {
+    return {};
+  }
+  if (typeof data !== "object" || Array.isArray(data)) {
+    throw new ConfigError(`${filePath} must contain an object of settings`);
+  }
+  return flatten(data);
+}
+
+// `flags` are parsed CLI values keyed by flag name. `defaults` are a bot's
+// own defaults (e.g. pinecone-chatbot.js: gpt-4o); the bot's backend is part
+// of its identity, so it outranks the config file and RAG_BACKEND, and only
+// an explicit --backend overrides it.
+function loadConfig({
+  flags = {},
+  defaults = {},
+  env = process.env,
+  file = flags.config || env.RAG_CONFIG,
+} = {}) {
+  const values = {};
+  const sources = {};
+  const settings = new Map(SETTINGS.map((setting) => [setting.key, setting]));
+  const set = (key, raw, origin) => {
+    const setting = settings.get(key);
+    if (!setting) {
+      throw new ConfigError(`Unknown setting "${key}" in ${origin}`);
+    }
+    values[key] = parseValue(setting, raw, origin);
+    sources[key] = origin;
+  };
+
+  for (const setting of SETTINGS) {
+    if (setting.default !== undefined) {
+      values[setting.key] = setting.default;
+      sources[setting.key] = "default";
+    }
+  }
+
+  const { backend: botBackend, ...botDefaults } = defaults;
+  for (const [key, raw] of Object.entries(botDefaults)) {
+    set(key, raw, "bot default");
+  }
+
+  const filePath = findConfigFile(file);
+  if (filePath) {
+    for (const [key, raw] of Object.entries(readConfigFile(filePath))) {
+      set(key, raw, path.basename(filePath));
+    }
+  }
+
+  for (const setting of SETTINGS) {
+    if (setting.env && env[setting.env] !== undefined && env[setting.env] !== "") {
+      set(setting.key, env[setting.env], `env ${setting.env}`);
+    }
+  }
+
+  if (botBackend) {
+    set("backend", botBackend, "bot default");
+  }
+
+  for (const setting of SETTINGS) {
+    if (setting.flag && flags[setting.flag] !== undefined) {
+      const raw = setting.negate ? !flags[setting.flag] : flags[setting.flag];
+      set(setting.key, raw, `--${setting.flag}`);
+    }
+  }
+
+  if (values["chunking.overlap"] >= values["chunking.size"]) {
+    throw new ConfigError(
+      `chunking.overlap (${values["chunking.overlap"]}) must be smaller than chunking.size (${values["chunking.size"]})`
+    );
+  }
+
+  return { values, sources, file: filePath };
+}
+
+// All settings under `section.` as a plain object, e.g. the chroma options
+function configSection(config, section) {
+  const options = {};
+  for (const [key, value] of Object.entries(config.values)) {
+    if (key.startsWith(`${section}.`)) {
+      options[key.slice(section.length + 1)] = value;
+    }
+  }
+  return options;
+}
+
+// Maps the config onto the option names RAGChatbot has always taken
+function toChatbotOptions(config) {
+  const v = config.values;
+  return {
+    config,
+    backend: v.backend,
+    backend_options: configSection(config, v.backend),
+    port: v["server.port"],
+    llm_provider: v["llm.provider"],
+    model: v["llm.model"],
+    llm_base_url: v["llm.baseUrl"],
+    temperature: v["llm.temperature"],
+    embedding_provider: v["embeddings.provider"],
+    embedding_model: v["embeddings.model"],
+    embedding_dimension: v["embeddings.dimension"],
+    embedding_base_url: v["embeddings.baseUrl"],
+    embed_batch_tokens: v["embeddings.batchTokens"],
+    embed_concurrency: v["embeddings.concurrency"],
+    chunking: v["chunking.mode"],
+    chunk_size: v["chunking.size"],
+    chunk_overlap: v["chunking.overlap"],
+    retrieval: v["retrieval.mode"],
+    k: v["retrieval.k"],
+    vector_weight: v["retrieval.vectorWeight"],
+    keyword_weight: v["retrieval.keywordWeight"],
+    rewrite: v["retrieval.rewrite"],
+    reranker: v["reranker.provider"],
+    reranker_model: v["reranker.model"],
+    rerank_candidates: v["reranker.candidates"],
+    context_tokens: v["context.maxTokens"],
+    history_tokens: v["history.maxTokens"],
+    max_history: v["history.maxMessages"],
+    sessions_dir: v["sessions.directory"],
+    session: v["sessions.name"],
+    retries: v["resilience.retries"],
+    timeout_ms: v["resilience.timeoutMs"],
+    role: v["pii.role"],
+    pii_patterns: configSection(config, "pii.patterns"),
+    pii_compensation_sections: v["pii.compensationSections"],
+    pii_performance_sections: v["pii.performanceSections"],
+    agent: v["agent.enabled"],
+    agent_max_steps: v["agent.maxSteps"],
+    watch: v["watch.enabled"],
+    watch_debounce_ms: v["watch.debounceMs"],
+    debug: v.debug,
+  };
+}
+
+function formatConfig(config) {
+  const width = Math.max(...SETTINGS.map((setting) => setting.key.length));
+  const lines = SETTINGS.filter(
+    (setting) => config.values[setting.key] !== undefined
+  ).map(
+    (setting) =>
+      `  ${setting.key.padEnd(width)}  ${JSON.stringify(
+        config.values[setting.key]
+      )}  (${config.sources[setting.key]})`
+  );
+
+  return `⚙️ Effective configuration${
+    config.file ? ` (file: ${config.file})` : " (no config file)"
+  }:\n${lines.join("\n")}`;
+}
+
+module.exports = {
+  CONFIG_FILES,
+  ConfigError,
+  SETTINGS,
+  configSection,
+  formatConfig,
+  loadConfig,
+  toChatbotOptions,
+};
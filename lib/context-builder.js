@@ -0,0 +1,156 @@
+// Assembles the retrieved chunks and the conversation history into the prompt
+// within token budgets, counted with the chat model's own tokenizer. Chunks
+// are taken best score first and the lowest ones are truncated or dropped;
+// history is taken newest first, so the oldest messages go when it is full.
+
+const { encodingForModel, getEncoding } = require("js-tiktoken");
+
+const CONTEXT_TOKENS = 3000;
+const HISTORY_TOKENS = 1000;
+// A chunk cut below this many tokens is more noise than context
+const MIN_TRUNCATED_TOKENS = 100;
+// Every chat message costs a few tokens of framing on top of its content
+const MESSAGE_OVERHEAD_TOKENS = 4;
+
+// Models tiktoken doesn't know (local, fake) are counted with the GPT-4o
+// encoding, which is close enough for budgeting
+class TokenCounter {
+  constructor(model) {
+    try {
+      this.encoding = encodingForModel(model);
+    } catch (error) {
+      this.encoding = getEncoding("o200k_base");
+    }
+  }
+
+  count(text) {
+    return this.encoding.encode(text).length;
+  }
+
+  truncate(text, maxTokens) {
+    const tokens = this.encoding.encode(text);
+    if (tokens.length <= maxTokens) {
+      return text;
+    }
+    return this.encoding.decode(tokens.slice(0, maxTokens));
+  }
+}
+
+function formatDocument(doc, number) {
+  const section = doc.metadata.heading_path
+    ? ` - Section: ${doc.metadata.heading_path}`
+    : doc.metadata.page
+      ? ` - Page: ${doc.metadata.page}`
+      : doc.metadata.row
+        ? ` - Row: ${doc.metadata.row}`
+        : "";
+  return `Document ${number} (${doc.metadata.doc_type}) - Source: ${doc.metadata.source}${section}:\n${doc.text}`;
+}
+
+function rankScore(doc) {
+  return doc.rerank_score ?? doc.score ?? 0;
+}
+
+class ContextBuilder {
+  constructor(
+    model,
+    { contextTokens = CONTEXT_TOKENS, historyTokens = HISTORY_TOKENS } = {}
+  ) {
+    this.counter = new TokenCounter(model);
+    this.contextTokens = contextTokens;
+    this.historyTokens = historyTokens;
+  }
+
+  // Returns the chunks that made it in (numbered in prompt order) and the
+  // context text; truncated chunks carry `truncated: true`
+  buildContext(docs) {
+    const ranked = [...docs].sort((a, b) => rankScore(b) - rankScore(a));
+    const included = [];
+    const blocks = [];
+    let tokens = 0;
+    let truncated = 0;
+
+    for (const doc of ranked) {
+      // Blank line between documents
+      const separator = blocks.length > 0 ? 2 : 0;
+      const block = formatDocument(doc, included.length + 1);
+      const blockTokens = this.counter.count(block) + separator;
+      const remaining = this.contextTokens - tokens;
+
+      if (blockTokens <= remaining) {
+        included.push(doc);
+        blocks.push(block);
+        tokens += blockTokens;
+        continue;
+      }
+
+      const headerTokens = blockTokens - this.counter.count(doc.text);
+      const room = remaining - headerTokens;
+      if (room < MIN_TRUNCATED_TOKENS) {
+        break;
+      }
+
+      const cut = { ...doc, text: this.counter.truncate(doc.text, room), truncated: true };
+      const cutBlock = formatDocument(cut, included.length + 1);
+      included.push(cut);
+      blocks.push(cutBlock);
+      tokens += this.counter.count(cutBlock) + separator;
+      truncated++;
+      break;
+    }
+
+    return {
+      docs: included,
+      text: blocks.join("\n\n"),
+      usage: {
+        tokens,
+        budget: this.contextTokens,
+        chunks: included.length,
+        truncated,
+        dropped: docs.length - included.length,
+      },
+    };
+  }
+
+  // The newest messages that fit, in chronological order. A reply whose
+  // question didn't fit is dropped too.
+  buildHistory(history) {
+    const kept = [];
+    let tokens = 0;
+
+    for (let index = history.length - 1; index >= 0; index--) {
+      const messageTokens =
+        this.counter.count(history[index].content) + MESSAGE_OVERHEAD_TOKENS;
+      if (tokens + messageTokens > this.historyTokens) {
+        break;
+      }
+      kept.unshift(history[index]);
+      tokens += messageTokens;
+    }
+
+    if (kept.length > 0 && kept[0].role === "assistant") {
+      tokens -= this.counter.count(kept.shift().content) + MESSAGE_OVERHEAD_TOKENS;
+    }
+
+    return {
+      messages: kept,
+      usage: {
+        tokens,
+        budget: this.historyTokens,
+        messages: kept.length,
+        dropped: history.length - kept.length,
+      },
+    };
+  }
+
+  count(text) {
+    return this.counter.count(text);
+  }
+}
+
+module.exports = {
+  CONTEXT_TOKENS,
+  ContextBuilder,
+  HISTORY_TOKENS,
+  TokenCounter,
+};
@@ -0,0 +1,398 @@
+// A contracts ledger extracted from knowledge-base/contracts: who the client
+// is, which product they bought and on what terms. Aggregate questions
+// ("total monthly revenue from Homellm contracts") need every contract, not
+// the top few chunks, and the sums are computed here rather than by the LLM.
+
+const { RecordTable, unmatchedWords } = require("./record-table");
+
+const PRODUCTS = ["Carllm", "Homellm", "Markellm", "Rellm"];
+const NUMBER_WORDS = {
+  one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8,
+  nine: 9, ten: 10, eleven: 11, twelve: 12, fifteen: 15, twenty: 20,
+  thirty: 30, forty: 40, "forty-five": 45, sixty: 60, ninety: 90,
+};
+// Everything else query() understands, beyond product names
+const QUERY_WORDS = new Set(
+  `how many number count list show which all contract contracts client clients
+  revenue mrr arr fee fees monthly month months annual annually yearly per year
+  years renewal renewals renew renews renewing automatic automatically auto
+  notice day days period term terms duration length training seat seats average
+  mean typical highest largest biggest most expensive maximum longest lowest
+  smallest cheapest minimum shortest fewest total sum combined not no without
+  product products signed active`.split(/\s+/)
+);
+// Listing needs contracts or clients named: "what are the fees for the Homellm
+// tiers?" is about pricing, not the ledger
+const LIST = /\b(?:list|show|which|what are|all)\b(?:\s+[\w-]+){0,3}?\s+(?:contracts|clients)\b/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MONTH_DAYS = 365.25 / 12;
+
+// "12", "twelve" or "twelve (12)"
+const AMOUNT = "([\\w-]+)(?:\\s*\\((\\d+)\\))?";
+const MONTHLY_FEE =
+  /monthly\s+(?:\w+\s+)?(?:fee|payments?)\s+of\s+\$([\d,]+(?:\.\d{2})?)|\$([\d,]+(?:\.\d{2})?)\s*(?:\/\s*month|per month|a month)\b/i;
+const DURATION = new RegExp(
+  `\\b(?:period|term|duration)\\b[^.\\d\\[]{0,30}?(?:\\bof|\\bfor|:)\\s+(?:a\\s+)?${AMOUNT}[\\s-]*(months?|years?)\\b`,
+  "i"
+);
+const NOTICE = new RegExp(`${AMOUNT}[\\s-]*days?\\b`, "i");
+const SEATS = new RegExp(
+  `${AMOUNT}\\s+(?:members|staff members|employees|users|people|seats|attendees)\\b`,
+  "i"
+);
+
+function number(word, digits) {
+  if (digits) {
+    return Number(digits);
+  }
+  return /^\d+$/.test(word) ? Number(word) : NUMBER_WORDS[word.toLowerCase()] ?? null;
+}
+
+// Numbered clauses run over several lines and sentences; matching works
+// sentence by sentence
+function sentences(text) {
+  return text
+    .split(/\n+|(?<=[.!?])\s+(?=[A-Z])/)
+    .map((sentence) => sentence.trim())
+    .filter(Boolean);
+}
+
+function monthlyFee(lines) {
+  for (const sentence of lines) {
+    // Optional add-ons and premium support aren't the contract fee
+    if (/optional|additional|add-on|premium support/i.test(sentence)) {
+      continue;
+    }
+    const match = sentence.match(MONTHLY_FEE);
+    if (match) {
+      return Number((match[1] || match[2]).replace(/,/g, ""));
+    }
+  }
+  return null;
+}
+
+// "a period of twelve (12) months", "Contract Duration: 12 months", or the
+// span between an Effective Date and an Expiration Date
+function termMonths(text, lines) {
+  for (const sentence of lines) {
+    const match = sentence.match(DURATION);
+    const value = match && number(match[1], match[2]);
+    if (value) {
+      return match[3].toLowerCase().startsWith("year") ? value * 12 : value;
+    }
+  }
+
+  const effective = text.match(/Effective Date:\s*([A-Z][a-z]+ \d{1,2}, \d{4})/);
+  const expiration = text.match(/Expiration Date:\s*([A-Z][a-z]+ \d{1,2}, \d{4})/);
+  if (effective && expiration) {
+    const days = (Date.parse(expiration[1]) - Date.parse(effective[1])) / DAY_MS;
+    return days > 0 ? Math.round(days / MONTH_DAYS) : null;
+  }
+  return null;
+}
+
+function autoRenewal(text) {
+  if (/automatically renew|renew automatically|auto-?renew/i.test(text)) {
+    return true;
+  }
+  return /\brenew/i.test(text) ? false : null;
+}
+
+// Days of notice either party must give to stop the contract renewing, not
+// the notice Insurellm gives of a price change
+function noticeDays(lines) {
+  for (const sentence of lines) {
+    if (
+      !/notice/i.test(sentence) ||
+      !/renew|terminat/i.test(sentence) ||
+      /pric|fees?\b|rate\b|adjust/i.test(sentence)
+    ) {
+      continue;
+    }
+    const match = sentence.match(NOTICE);
+    const value = match && number(match[1], match[2]);
+    if (value) {
+      return value;
+    }
+  }
+  return null;
+}
+
+// "onboarding training for up to ten (10) members of the Client's staff";
+// contracts that promise sessions rather than seats have no seat count
+function trainingSeats(lines) {
+  for (const sentence of lines) {
+    if (!/train/i.test(sentence)) {
+      continue;
+    }
+    const match = sentence.match(SEATS);
+    const value = match && number(match[1], match[2]);
+    if (value) {
+      return value;
+    }
+  }
+  return null;
+}
+
+function dollars(amount) {
+  return `$${amount.toLocaleString("en-US", { maximumFractionDigits: 2 })}`;
+}
+
+// Aggregated fields: the words that ask for them, how to name the largest and
+// smallest value and how to show one
+const FIELDS = {
+  monthly_fee: {
+    words: null,
+    label: "monthly fee",
+    extremes: ["Highest", "Lowest"],
+    show: dollars,
+  },
+  notice_days: {
+    words: /\bnotice\b/,
+    label: "notice period",
+    extremes: ["Longest", "Shortest"],
+    show: (days) => `${days} days`,
+  },
+  term_months: {
+    words: /\b(term|duration|length)\b/,
+    label: "term",
+    extremes: ["Longest", "Shortest"],
+    show: (months) => `${months} months`,
+  },
+  training_seats: {
+    words: /\b(training|seats)\b/,
+    label: "number of training seats",
+    extremes: ["Most", "Fewest"],
+    show: String,
+  },
+};
+
+class ContractsLedger extends RecordTable {
+  constructor(storeId) {
+    super("contracts", storeId);
+  }
+
+  parse(doc) {
+    const title = doc.pageContent.match(/^#\s+Contract with (.+?) for (\w+)/m);
+    const product =
+      title && PRODUCTS.find((name) => name.toLowerCase() === title[2].toLowerCase());
+    if (!product) {
+      return null;
+    }
+
+    const text = doc.pageContent.replace(/\*\*/g, "");
+    const lines = sentences(text);
+    return {
+      client: title[1].trim(),
+      product,
+      monthly_fee: monthlyFee(lines),
+      term_months: termMonths(text, lines),
+      auto_renewal: autoRenewal(text),
+      notice_days: noticeDays(lines),
+      training_seats: trainingSeats(lines),
+    };
+  }
+
+  label(record) {
+    return `${record.client} (${record.product})`;
+  }
+
+  // Works out whether `question` asks to count, list, total, average or rank
+  // contracts and returns the matching contracts with the computed answer,
+  // or null for anything else (including questions about one named client).
+  // `complete` is false when the question asks for more than that, e.g.
+  // "which clients complained about support?".
+  query(question, records = this.records) {
+    const text = question.toLowerCase();
+    const about =
+      /\b(contracts?|clients?|revenue|mrr|arr|fees?|renewals?|auto-?renew\w*)\b/.test(text);
+    const named = records.some(({ client }) => text.includes(client.toLowerCase()));
+    if (records.length === 0 || !about || named) {
+      return null;
+    }
+
+    const operation = /\bhow many\b|\bnumber of\b|\bcount\b/.test(text)
+      ? "count"
+      : /\b(average|mean|typical)\b/.test(text)
+        ? "average"
+        : /\b(highest|largest|biggest|most expensive|maximum|longest)\b/.test(text)
+          ? "max"
+          : /\b(lowest|smallest|cheapest|minimum|shortest)\b/.test(text)
+            ? "min"
+            : /\b(total|sum|combined|revenue|mrr|arr)\b/.test(text)
+              ? "total"
+              : LIST.test(text)
+                ? "list"
+                : null;
+    if (!operation) {
+      return null;
+    }
+
+    const filters = [];
+    let contracts = records;
+
+    const product = PRODUCTS.find((name) =>
+      new RegExp(`\\b${name.toLowerCase()}\\b`).test(text)
+    );
+    if (product) {
+      contracts = contracts.filter((record) => record.product === product);
+      filters.push(`for ${product}`);
+    }
+
+    if (/auto-?renew|renews? automatically|automatically renew/.test(text)) {
+      const renews =
+        !/\b(not|don't|doesn't|do not|does not|without|no)\b[^?.]*\brenew/.test(text);
+      contracts = contracts.filter((record) => record.auto_renewal === renews);
+      filters.push(renews ? "with automatic renewal" : "without automatic renewal");
+    }
+
+    const notice = text.match(
+      /\b(\d+)[\s-]*days?\b[^?.]*\bnotice\b|\bnotice\b[^?.]*?\b(\d+)[\s-]*days?\b/
+    );
+    if (notice) {
+      const days = Number(notice[1] || notice[2]);
+      contracts = contracts.filter((record) => record.notice_days === days);
+      filters.push(`with ${days} days' notice`);
+    }
+
+    const term = text.match(/\b(\d+)[\s-]*months?\b/);
+    if (term) {
+      const months = Number(term[1]);
+      contracts = contracts.filter((record) => record.term_months === months);
+      filters.push(`with a ${months}-month term`);
+    }
+
+    const field =
+      Object.keys(FIELDS).find((name) => FIELDS[name].words?.test(text)) || "monthly_fee";
+    const annual =
+      field === "monthly_fee" &&
+      /\b(annual|annually|yearly|per year|a year|arr)\b/.test(text);
+    const products = new Set(PRODUCTS.map((name) => name.toLowerCase()));
+    return {
+      ...ContractsLedger.aggregate(contracts, { operation, field, annual }),
+      description: filters.join(", "),
+      complete:
+        unmatchedWords(text, (word) => QUERY_WORDS.has(word) || products.has(word))
+          .length === 0,
+    };
+  }
+
+  // Counts, lists, totals, averages or ranks `contracts` by `field`. Totals
+  // and ranks keep the contracts they were computed from in `records`.
+  static aggregate(contracts, { operation, field = "monthly_fee", annual = false }) {
+    const result = { records: contracts, operation };
+    if (operation === "count" || operation === "list") {
+      return result;
+    }
+
+    // Contracts that don't state the value can't be added up; say so
+    const known = contracts.filter((record) => record[field] !== null);
+    const values = known.map((record) => record[field] * (annual ? 12 : 1));
+    const missing = contracts.filter((record) => record[field] === null);
+    let value = null;
+    let matched = known;
+    if (values.length > 0) {
+      if (operation === "total") {
+        value = values.reduce((sum, amount) => sum + amount, 0);
+      } else if (operation === "average") {
+        value = values.reduce((sum, amount) => sum + amount, 0) / values.length;
+      } else {
+        value = operation === "max" ? Math.max(...values) : Math.min(...values);
+        matched = known.filter((record, index) => values[index] === value);
+      }
+    }
+    return { ...result, records: matched, field, annual, value, missing };
+  }
+
+  static line(record) {
+    const parts = [
+      record.monthly_fee !== null ? `${dollars(record.monthly_fee)}/month` : "fee not stated",
+      record.term_months !== null ? `${record.term_months}-month term` : "term not stated",
+      record.auto_renewal === true
+        ? "auto-renews"
+        : record.auto_renewal === false
+          ? "no auto-renewal"
+          : "auto-renewal unknown",
+    ];
+    if (record.notice_days !== null) {
+      parts.push(`${record.notice_days} days' notice`);
+    }
+    if (record.training_seats !== null) {
+      parts.push(`${record.training_seats} training seats`);
+    }
+    return `${record.client} (${record.product}): ${parts.join(", ")}`;
+  }
+
+  // A short answer to a query() result, citing each contract it used as [n]
+  // (or whatever number `cite` gives it)
+  static format(
+    { records, description, operation, field, annual, value, missing = [] },
+    cite = (record, index) => index + 1
+  ) {
+    const scope = description ? ` ${description}` : "";
+    const lines = records.map(
+      (record, index) => `- ${ContractsLedger.line(record)} [${cite(record, index)}]`
+    );
+    const total = `${records.length} ${records.length === 1 ? "contract" : "contracts"}`;
+
+    let heading;
+    if (operation === "count" || operation === "list") {
+      heading =
+        records.length === 0
+          ? `No contracts in the ledger${scope}.`
+          : `${total} in the ledger${scope}:`;
+    } else if (value === null) {
+      heading = `No contracts${scope} state a ${FIELDS[field].label}.`;
+    } else {
+      const { label, extremes, show } = FIELDS[field];
+      const name = annual ? label.replace("monthly", "annual") : label;
+      heading = {
+        total: `Total ${name}s${scope}: ${show(value)} across ${total}:`,
+        average: `Average ${name}${scope}: ${show(Math.round(value * 100) / 100)} across ${total}:`,
+        max: `${extremes[0]} ${name}${scope}: ${show(value)}:`,
+        min: `${extremes[1]} ${name}${scope}: ${show(value)}:`,
+      }[operation];
+    }
+
+    const notes =
+      missing.length > 0
+        ? `\n(Not stated in ${missing.map((record) => record.client).join(", ")}, so not counted.)`
+        : "";
+    return [heading, ...lines].join("\n") + notes;
+  }
+
+  // The whole ledger as aligned columns, for the REPL's "contracts" command
+  static table(records) {
+    const rows = records.map((record) => [
+      record.client,
+      record.product,
+      record.monthly_fee !== null ? dollars(record.monthly_fee) : "-",
+      record.term_months !== null ? `${record.term_months} mo` : "-",
+      record.auto_renewal === true ? "yes" : record.auto_renewal === false ? "no" : "unknown",
+      record.notice_days !== null ? `${record.notice_days} days` : "-",
+      record.training_seats !== null ? String(record.training_seats) : "-",
+    ]);
+    const header = [
+      "Client",
+      "Product",
+      "Monthly fee",
+      "Term",
+      "Auto-renews",
+      "Notice",
+      "Training seats",
+    ];
+    const widths = header.map((title, column) =>
+      Math.max(title.length, ...rows.map((row) => row[column].length))
+    );
+    return [header, ...rows]
+      .map((row) =>
+        row
+          .map((cell, column) => cell.padEnd(widths[column]))
+          .join("  ")
+          .trimEnd()
+      )
+      .join("\n");
+  }
+}
+
+module.exports = { CONTRACT_FIELDS: Object.keys(FIELDS), ContractsLedger, PRODUCTS };
@@ -0,0 +1,236 @@
+// A structured employee directory parsed from the HR records in
+// knowledge-base/employees. Top-k vector search can't answer "who joined in
+// 2020?" or "list everyone in San Francisco", because the answer is spread
+// over every record; the directory answers those exactly. It is saved to
+// .rag-sync/ as plain JSON, so it holds only what any role may see: dates of
+// birth, compensation and ratings stay in the (masked) HR records themselves.
+
+const {
+  RecordTable,
+  findSection,
+  markdownSections,
+  unmatchedWords,
+} = require("./record-table");
+
+const MONTHS = [
+  "january", "february", "march", "april", "may", "june",
+  "july", "august", "september", "october", "november", "december",
+];
+const STATES = {
+  AL: "Alabama", AK: "Alaska", AZ: "Arizona", AR: "Arkansas", CA: "California",
+  CO: "Colorado", CT: "Connecticut", DE: "Delaware", FL: "Florida", GA: "Georgia",
+  HI: "Hawaii", ID: "Idaho", IL: "Illinois", IN: "Indiana", IA: "Iowa",
+  KS: "Kansas", KY: "Kentucky", LA: "Louisiana", ME: "Maine", MD: "Maryland",
+  MA: "Massachusetts", MI: "Michigan", MN: "Minnesota", MS: "Mississippi",
+  MO: "Missouri", MT: "Montana", NE: "Nebraska", NV: "Nevada", NH: "New Hampshire",
+  NJ: "New Jersey", NM: "New Mexico", NY: "New York", NC: "North Carolina",
+  ND: "North Dakota", OH: "Ohio", OK: "Oklahoma", OR: "Oregon", PA: "Pennsylvania",
+  RI: "Rhode Island", SC: "South Carolina", SD: "South Dakota", TN: "Tennessee",
+  TX: "Texas", UT: "Utah", VT: "Vermont", VA: "Virginia", WA: "Washington",
+  WV: "West Virginia", WI: "Wisconsin", WY: "Wyoming", DC: "District of Columbia",
+};
+// Words in job titles that say nothing about the job
+const TITLE_STOPWORDS = new Set(["and", "the", "for", "of"]);
+// Everything else query() understands, beyond places and job titles
+const QUERY_WORDS = new Set(
+  `how many number count list show who which name everyone everybody employee
+  employees people person staff colleague colleagues team member members hire
+  hires hired joined join joining started start since before after during work
+  works working worked based located live lives company hr record records every`.split(/\s+/)
+);
+
+// "- **2021-06:** text" and "| 2021 | text |" both become { label, text };
+// indented lines below a bullet belong to it
+function entries(lines) {
+  const result = [];
+  for (const line of lines) {
+    const bullet = line.match(/^-\s+\*\*(.+?)\*\*\s*[:\-–]?\s*(.*)$/);
+    const row = line.match(/^\|\s*([^|]*\d{4}[^|]*)\|(.*)\|\s*$/);
+    if (bullet) {
+      result.push({ label: bullet[1].replace(/:\s*$/, ""), text: bullet[2] });
+    } else if (row) {
+      result.push({ label: row[1].trim(), text: row[2] });
+    } else if (result.length > 0 && /^\s+\S/.test(line)) {
+      result[result.length - 1].text += `\n${line.trim()}`;
+    }
+  }
+  return result;
+}
+
+// Sort key for labels like "2021", "June 2018", "2021-06" or "2015 - Present"
+function dateKey(label) {
+  const year = label.match(/\b(?:19|20)\d{2}\b/);
+  if (!year) {
+    return null;
+  }
+  const monthName = MONTHS.findIndex((month) => label.toLowerCase().startsWith(month));
+  const monthNumber = label.match(/\b\d{4}-(\d{2})\b/);
+  const month = monthName >= 0 ? monthName + 1 : monthNumber ? Number(monthNumber[1]) : 0;
+  return Number(year[0]) * 100 + month;
+}
+
+function summaryField(text, name) {
+  const match = text.match(new RegExp(`\\*\\*${name}:?\\*\\*:?\\s*(.+)`, "i"));
+  return match ? match[1].trim() : null;
+}
+
+function parseLocation(location) {
+  const [city, region = ""] = location.split(",").map((part) => part.trim());
+  return { city, state: STATES[region] || region };
+}
+
+function singular(word) {
+  return word.length > 3 && word.endsWith("s") ? word.slice(0, -1) : word;
+}
+
+function titleWords(text) {
+  return (text.toLowerCase().match(/[a-z]+/g) || [])
+    .map(singular)
+    .filter((word) => !TITLE_STOPWORDS.has(word));
+}
+
+class EmployeeDirectory extends RecordTable {
+  constructor(storeId) {
+    super("employees", storeId);
+  }
+
+  parse(doc) {
+    const text = doc.pageContent;
+    const jobTitle = summaryField(text, "Job Title");
+    const location = summaryField(text, "Location");
+    if (!jobTitle || !location) {
+      return null;
+    }
+
+    const name = text
+      .split("\n")
+      .map((line) => line.match(/^#\s+(.+?)\s*$/))
+      .find((heading) => heading && !/^HR Record$/i.test(heading[1]));
+    const sections = markdownSections(text);
+    // Roles held elsewhere ("Business Analyst at Edge Analytics") predate joining
+    const career = entries(findSection(sections, "Insurellm Career")).filter(
+      (entry) => !/\bat (?!Insurellm)[A-Z]/.test(entry.text)
+    );
+    const joined = career
+      .map((entry) => dateKey(entry.label))
+      .filter((key) => key !== null)
+      .sort((a, b) => a - b)[0];
+
+    return {
+      name: name ? name[1] : doc.metadata.source,
+      job_title: jobTitle,
+      location,
+      ...parseLocation(location),
+      joined: joined ? Math.floor(joined / 100) : null,
+    };
+  }
+
+  label(record) {
+    return record.name;
+  }
+
+  // Works out whether `question` asks to list, count or filter employees and
+  // returns { records, description, count, complete }, or null for anything
+  // else (including questions about one named person). `complete` is false
+  // when the question asks for more than the filters cover, e.g. "which
+  // engineer had the lowest rating?".
+  query(question, records = this.records) {
+    const text = question.toLowerCase();
+    const named = records.some(({ name }) => text.includes(name.toLowerCase()));
+    if (records.length === 0 || named) {
+      return null;
+    }
+
+    const count = /\bhow many\b|\bnumber of\b|\bcount\b/.test(text);
+    const list = /\b(list|show|who|which|name|everyone|everybody)\b/.test(text);
+    const people =
+      /\b(employees?|people|staff|everyone|everybody|who|colleagues|team members?|hires)\b/.test(
+        text
+      );
+    const filters = [];
+    let employees = records;
+
+    const places = new Set(records.flatMap(({ city, state }) => [city, state]));
+    const place = [...places].find(
+      (name) => name && new RegExp(`\\b${name.toLowerCase()}\\b`).test(text)
+    );
+    if (place) {
+      employees = employees.filter(({ city, state }) => city === place || state === place);
+      filters.push(`in ${place}`);
+    }
+
+    const joined = text.match(
+      /\b(?:joined|join|hired|started|start)\b[^?.]*?\b(in|during|before|after|since)?\s*((?:19|20)\d{2})\b/
+    );
+    if (joined) {
+      const year = Number(joined[2]);
+      const operator = joined[1] || "in";
+      const test = {
+        in: (value) => value === year,
+        during: (value) => value === year,
+        before: (value) => value < year,
+        after: (value) => value > year,
+        since: (value) => value >= year,
+      }[operator];
+      employees = employees.filter(({ joined: value }) => value !== null && test(value));
+      filters.push(`joined ${operator === "during" ? "in" : operator} ${year}`);
+    }
+
+    // "engineers", "data engineers", "sdrs", "the ceo"
+    const vocabulary = new Set(records.flatMap(({ job_title }) => titleWords(job_title)));
+    const asked = (text.match(/[a-z]+/g) || []).filter((word) =>
+      vocabulary.has(singular(word))
+    );
+    if (asked.length > 0) {
+      employees = employees.filter(({ job_title }) => {
+        const title = titleWords(job_title);
+        return asked.every((word) => title.includes(singular(word)));
+      });
+      filters.push(`matching "${asked.join(" ")}"`);
+    }
+
+    // "which contracts started in 2020?" is not about employees
+    if (!(count || list) || !(people || asked.length > 0)) {
+      return null;
+    }
+    // "how many employees does Insurellm have?" is about the company, not
+    // the dozen people with HR records here
+    const everyone = /\b(all|every|everyone|everybody)\b/.test(text);
+    if (filters.length === 0 && !(everyone && list && !count)) {
+      return null;
+    }
+
+    const placeWords = new Set(
+      [...places].flatMap((name) => (name || "").toLowerCase().match(/[a-z]+/g) || [])
+    );
+    const complete =
+      unmatchedWords(
+        text,
+        (word) =>
+          QUERY_WORDS.has(word) || placeWords.has(word) || vocabulary.has(singular(word))
+      ).length === 0;
+    return { records: employees, description: filters.join(", "), count, complete };
+  }
+
+  static line(employee) {
+    return `${employee.name}: ${employee.job_title}, ${employee.city}, ${employee.state}${
+      employee.joined ? `, joined ${employee.joined}` : ""
+    }`;
+  }
+
+  // A short answer naming each match, with [n] citations to its HR record
+  static format({ records: employees, description }) {
+    const total = `${employees.length} ${employees.length === 1 ? "employee" : "employees"}`;
+    const scope = description ? ` ${description}` : "";
+    if (employees.length === 0) {
+      return `No employees in the HR records match${scope ? `:${scope}` : ""}.`;
+    }
+
+    const lines = employees.map(
+      (employee, index) => `- ${EmployeeDirectory.line(employee)} [${index + 1}]`
+    );
+    return `${total} in the HR records${scope}:\n${lines.join("\n")}`;
+  }
+}
+
+module.exports = { EmployeeDirectory };
@@ -0,0 +1,68 @@
+// Typed failures of the RAG pipeline. The REPL and the HTTP API report these
+// by kind instead of a generic "something went wrong"; `cause` keeps the
+// underlying SDK or network error.
+class RAGError extends Error {
+  constructor(message, { cause, code = "rag_error", statusCode = 500 } = {}) {
+    super(message, { cause });
+    this.name = this.constructor.name;
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+
+  // Wraps any other error as this type, leaving RAGErrors alone
+  static from(error, context) {
+    if (error instanceof RAGError) {
+      return error;
+    }
+    return new this(`${context}: ${error.message}`, { cause: error });
+  }
+}
+
+class EmbeddingError extends RAGError {
+  constructor(message, options = {}) {
+    super(message, { code: "embedding_error", statusCode: 502, ...options });
+  }
+}
+
+class RetrievalError extends RAGError {
+  constructor(message, options = {}) {
+    super(message, { code: "retrieval_error", statusCode: 502, ...options });
+  }
+}
+
+class GenerationError extends RAGError {
+  constructor(message, options = {}) {
+    super(message, { code: "generation_error", statusCode: 502, ...options });
+  }
+}
+
+// The vector store could not be reached at all (as opposed to rejecting a
+// particular request)
+class BackendUnavailable extends RAGError {
+  constructor(message, options = {}) {
+    super(message, { code: "backend_unavailable", statusCode: 503, ...options });
+  }
+}
+
+// One line for the REPL
+function describeError(error) {
+  if (error instanceof BackendUnavailable || error instanceof RetrievalError) {
+    return `⚠️ I couldn't search the knowledge base, so I won't answer without it. ${error.message}`;
+  }
+  if (error instanceof EmbeddingError) {
+    return `⚠️ I couldn't embed your question, so I won't answer without searching. ${error.message}`;
+  }
+  if (error instanceof GenerationError) {
+    return `⚠️ The language model failed to answer. ${error.message}`;
+  }
+  return "Sorry, I encountered an error processing your question. Please try again.";
+}
+
+module.exports = {
+  BackendUnavailable,
+  EmbeddingError,
+  GenerationError,
+  RAGError,
+  RetrievalError,
+  describeError,
+};
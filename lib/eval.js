@@ -0,0 +1,227 @@
+// Scores retrieval and answers against a golden dataset (eval/golden.json) so
+// chunking, embedding, reranking and backend changes can be compared. Each
+// case names the files that should be retrieved and the facts the answer must
+// contain. Scoring is lexical, so a run needs nothing beyond the chatbot
+// itself and works offline with the fake providers.
+
+const fs = require("fs");
+const path = require("path");
+
+const DATASET_FILE = path.join("eval", "golden.json");
+const REPORT_DIR = path.join("eval", "reports");
+// An answer sentence is supported when this share of its words is in context
+const SUPPORT_THRESHOLD = 0.6;
+
+function loadDataset(file = DATASET_FILE) {
+  const cases = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (!Array.isArray(cases) || cases.length === 0) {
+    throw new Error(`${file} must be a non-empty array of eval cases`);
+  }
+  cases.forEach((testCase, index) => {
+    if (
+      typeof testCase.question !== "string" ||
+      !Array.isArray(testCase.sources) ||
+      !Array.isArray(testCase.facts)
+    ) {
+      throw new Error(
+        `Eval case ${testCase.id || index + 1} in ${file} needs a question, sources and facts`
+      );
+    }
+  });
+  return cases;
+}
+
+// "$10,000" and "10000" compare equal, as do "Austin" and "austin,"
+function normalize(text) {
+  return text.toLowerCase().replace(/(\d),(\d)/g, "$1$2");
+}
+
+function words(text) {
+  return normalize(text).match(/[a-z0-9$.]+/g)?.map((word) => word.replace(/\.$/, "")) || [];
+}
+
+// Each fact is a string or a list of accepted alternatives ("10" or "ten")
+function correctness(answer, facts) {
+  if (facts.length === 0) {
+    return null;
+  }
+  const text = normalize(answer);
+  const found = facts.filter((fact) =>
+    [].concat(fact).some((option) => text.includes(normalize(option)))
+  );
+  return found.length / facts.length;
+}
+
+// Share of answer sentences whose words (and every number) appear in the
+// chunks the answer was generated from
+function faithfulness(answer, contextTexts) {
+  const context = new Set(words(contextTexts.join(" ")));
+  const sentences = answer
+    .replace(/\[\d+(?:,\s*\d+)*\]/g, "")
+    .split(/(?<=[.!?])\s+|\n+/)
+    .map((sentence) => words(sentence).filter((word) => word.length > 3 || /\d/.test(word)))
+    .filter((sentenceWords) => sentenceWords.length > 0);
+  if (sentences.length === 0) {
+    return null;
+  }
+
+  const supported = sentences.filter((sentenceWords) => {
+    const present = sentenceWords.filter((word) => context.has(word));
+    return (
+      present.length / sentenceWords.length >= SUPPORT_THRESHOLD &&
+      sentenceWords.filter((word) => /\d/.test(word)).every((word) => context.has(word))
+    );
+  });
+  return supported.length / sentences.length;
+}
+
+function mean(values) {
+  const scored = values.filter((value) => value !== null);
+  return scored.length > 0
+    ? scored.reduce((sum, value) => sum + value, 0) / scored.length
+    : null;
+}
+
+class Evaluator {
+  constructor(chatbot) {
+    this.chatbot = chatbot;
+    this.k = chatbot.topK;
+  }
+
+  // Retrieval and faithfulness are scored on the context chat() answered
+  // from, whether that came from search, a table or the agent's tools. Table
+  // and agent answers can draw on more than k files, so recall and MRR only
+  // count the first k distinct sources.
+  async runCase(testCase) {
+    // A fresh history per case, and no sampling noise between runs
+    const { answer, context } = await this.chatbot.chat(testCase.question, {
+      history: [],
+      temperature: 0,
+    });
+    const ranked = [...new Set(context.map((doc) => doc.metadata.source))].slice(0, this.k);
+    const firstHit = ranked.findIndex((source) => testCase.sources.includes(source));
+    const found = testCase.sources.filter((source) => ranked.includes(source));
+    const contextTexts = context.map((doc) => doc.text);
+
+    return {
+      id: testCase.id,
+      question: testCase.question,
+      expected_sources: testCase.sources,
+      retrieved_sources: ranked,
+      recall: found.length / testCase.sources.length,
+      reciprocal_rank: firstHit === -1 ? 0 : 1 / (firstHit + 1),
+      correctness: correctness(answer, testCase.facts),
+      faithfulness: faithfulness(answer, contextTexts),
+      reference_answer: testCase.answer,
+      answer,
+    };
+  }
+
+  async run(cases, { dataset = DATASET_FILE } = {}) {
+    const startTime = Date.now();
+    const results = [];
+    for (const [index, testCase] of cases.entries()) {
+      console.log(`\n🧪 [${index + 1}/${cases.length}] ${testCase.question}`);
+      results.push(await this.runCase(testCase));
+    }
+
+    const info = await this.chatbot.getStatusInfo();
+    return {
+      created_at: new Date().toISOString(),
+      dataset,
+      duration_ms: Date.now() - startTime,
+      settings: {
+        backend: info.backend,
+        model: info.model,
+        embeddings: info.embeddings,
+        chunking: info.chunking,
+        retrieval: info.retrieval.mode,
+        reranker: info.reranker,
+        rewrite_queries: info.rewriteQueries,
+        k: this.k,
+      },
+      metrics: {
+        cases: results.length,
+        [`recall@${this.k}`]: mean(results.map((result) => result.recall)),
+        mrr: mean(results.map((result) => result.reciprocal_rank)),
+        correctness: mean(results.map((result) => result.correctness)),
+        faithfulness: mean(results.map((result) => result.faithfulness)),
+      },
+      results,
+    };
+  }
+}
+
+function score(value) {
+  return value === null ? "n/a" : value.toFixed(2);
+}
+
+function formatMarkdown(report) {
+  const settings = Object.entries(report.settings)
+    .map(([key, value]) => `| ${key} | ${value} |`)
+    .join("\n");
+  const metrics = Object.entries(report.metrics)
+    .map(([key, value]) => `| ${key} | ${key === "cases" ? value : score(value)} |`)
+    .join("\n");
+  const rows = report.results
+    .map(
+      (result) =>
+        `| ${result.id} | ${score(result.recall)} | ${score(
+          result.reciprocal_rank
+        )} | ${score(result.correctness)} | ${score(result.faithfulness)} |`
+    )
+    .join("\n");
+  const misses = report.results
+    .filter((result) => result.recall < 1 || (result.correctness ?? 1) < 1)
+    .map(
+      (result) =>
+        `### ${result.id}\n\n**Question:** ${result.question}\n\n**Expected:** ${
+          result.reference_answer
+        } (${result.expected_sources.join(", ")})\n\n**Retrieved:** ${
+          result.retrieved_sources.join(", ") || "nothing"
+        }\n\n**Answer:** ${result.answer.replace(/\n+/g, " ")}`
+    )
+    .join("\n\n");
+
+  return `# RAG evaluation, ${report.created_at}
+
+Dataset: \`${report.dataset}\`, ${report.metrics.cases} cases in ${(
+    report.duration_ms / 1000
+  ).toFixed(1)}s
+
+| Setting | Value |
+|---------|-------|
+${settings}
+
+| Metric | Score |
+|--------|-------|
+${metrics}
+
+## Cases
+
+| Case | Recall | RR | Correctness | Faithfulness |
+|------|--------|----|-------------|--------------|
+${rows}
+${misses ? `\n## Misses\n\n${misses}\n` : ""}`;
+}
+
+// Reports are named by time and backend so runs sort and compare side by side
+function writeReport(report, directory = REPORT_DIR) {
+  fs.mkdirSync(directory, { recursive: true });
+  const stamp = report.created_at.replace(/[:.]/g, "-");
+  const base = path.join(directory, `${stamp}-${report.settings.backend}`);
+  fs.writeFileSync(`${base}.json`, JSON.stringify(report, null, 2));
+  fs.writeFileSync(`${base}.md`, formatMarkdown(report));
+  return { json: `${base}.json`, markdown: `${base}.md` };
+}
+
+module.exports = {
+  DATASET_FILE,
+  Evaluator,
+  REPORT_DIR,
+  correctness,
+  faithfulness,
+  formatMarkdown,
+  loadDataset,
+  writeReport,
+};
@@ -0,0 +1,78 @@
+// Metadata filters restrict retrieval to some document types or source files,
+// e.g. { doc_type: "contracts" } or { doc_type: ["products", "company"] }.
+// Every backend translates the normalised form into its own native filter.
+
+const FILTER_FIELDS = ["doc_type", "source"];
+
+// Returns { field: [values] } for the fields that are set, or null when the
+// filter doesn't restrict anything
+function normalizeFilter(filter) {
+  if (!filter) {
+    return null;
+  }
+  if (typeof filter !== "object" || Array.isArray(filter)) {
+    throw new Error("Filter must be an object such as { doc_type: \"contracts\" }");
+  }
+
+  const normalized = {};
+  for (const [field, value] of Object.entries(filter)) {
+    if (!FILTER_FIELDS.includes(field)) {
+      throw new Error(
+        `Cannot filter on "${field}". Filterable fields: ${FILTER_FIELDS.join(", ")}`
+      );
+    }
+
+    const values = (Array.isArray(value) ? value : [value]).filter(
+      (item) => item !== undefined && item !== null && item !== ""
+    );
+    if (!values.every((item) => typeof item === "string")) {
+      throw new Error(`Filter values for "${field}" must be strings`);
+    }
+    if (values.length > 0) {
+      normalized[field] = [...new Set(values)];
+    }
+  }
+
+  return Object.keys(normalized).length > 0 ? normalized : null;
+}
+
+function matchesFilter(metadata, filter) {
+  if (!filter) {
+    return true;
+  }
+  return Object.entries(filter).every(([field, values]) =>
+    values.includes(metadata[field])
+  );
+}
+
+// The MongoDB-style operators understood by both Chroma's `where` and
+// Pinecone's `filter`
+function toMongoFilter(filter) {
+  if (!filter) {
+    return undefined;
+  }
+
+  const conditions = Object.entries(filter).map(([field, values]) => ({
+    [field]: { $in: values },
+  }));
+  return conditions.length === 1 ? conditions[0] : { $and: conditions };
+}
+
+function describeFilter(filter) {
+  if (!filter) {
+    return "";
+  }
+  return Object.entries(filter)
+    .map(([field, values]) =>
+      field === "doc_type" ? values.join(", ") : `${field}: ${values.join(", ")}`
+    )
+    .join("; ");
+}
+
+module.exports = {
+  FILTER_FIELDS,
+  describeFilter,
+  matchesFilter,
+  normalizeFilter,
+  toMongoFilter,
+};
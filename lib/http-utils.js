@@ -0,0 +1,68 @@
+const { normalizeFilter } = require("./filter");
+
+const MAX_BODY_BYTES = 1024 * 1024;
+
+class HttpError extends Error {
+  constructor(statusCode, message) {
+    super(message);
+    this.statusCode = statusCode;
+  }
+}
+
+// Resolves to the request's JSON object ({} for an empty body). Anything
+// else, including null, arrays and bare strings, is a 400.
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = "";
+
+    req.setEncoding("utf8");
+    req.on("data", (chunk) => {
+      body += chunk;
+      if (body.length > MAX_BODY_BYTES) {
+        reject(new HttpError(413, "Request body too large"));
+        req.destroy();
+      }
+    });
+    req.on("end", () => {
+      if (body.trim() === "") {
+        resolve({});
+        return;
+      }
+      let parsed;
+      try {
+        parsed = JSON.parse(body);
+      } catch (error) {
+        reject(new HttpError(400, "Request body must be valid JSON"));
+        return;
+      }
+      if (parsed === null || typeof parsed !== "object" || Array.isArray(parsed)) {
+        reject(new HttpError(400, "Request body must be a JSON object"));
+        return;
+      }
+      resolve(parsed);
+    });
+    req.on("error", reject);
+  });
+}
+
+function sendJson(res, statusCode, payload) {
+  res.writeHead(statusCode, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(payload));
+}
+
+function sendEvent(res, event, data) {
+  if (!res.writableEnded) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+}
+
+// Validates a request's { doc_type, source } filter before any streaming starts
+function readFilter(body) {
+  try {
+    return normalizeFilter(body.filter);
+  } catch (error) {
+    throw new HttpError(400, error.message);
+  }
+}
+
+module.exports = { HttpError, readFilter, readJsonBody, sendJson, sendEvent };
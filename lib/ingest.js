@@ -0,0 +1,146 @@
+// Embeds chunks for ingestion: chunks are grouped into batches bounded by an
+// estimated token count, several batches are in flight at once, and each
+// finished batch is handed on (in completion order, one at a time) to be
+// written to the vector store. Every chunk is still embedded on its own as
+// one input of a batch request, so the vectors are the same as one-by-one.
+
+const { EmbeddingError } = require("./errors");
+const { withRetry } = require("./retry");
+
+// English text averages about four characters per token with OpenAI's
+// tokenizers; assuming three keeps batches safely under the limit
+const CHARS_PER_TOKEN = 3;
+const DEFAULT_BATCH_TOKENS = 20000;
+// OpenAI accepts at most 2048 inputs per embeddings request
+const MAX_BATCH_SIZE = 2048;
+const DEFAULT_CONCURRENCY = 4;
+
+function estimateTokens(text) {
+  return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+function batchByTokens(texts, maxTokens, maxSize = MAX_BATCH_SIZE) {
+  const batches = [];
+  let batch = [];
+  let tokens = 0;
+
+  texts.forEach((text, index) => {
+    const textTokens = estimateTokens(text);
+    if (
+      batch.length > 0 &&
+      (tokens + textTokens > maxTokens || batch.length >= maxSize)
+    ) {
+      batches.push(batch);
+      batch = [];
+      tokens = 0;
+    }
+    batch.push(index);
+    tokens += textTokens;
+  });
+  if (batch.length > 0) {
+    batches.push(batch);
+  }
+
+  return batches;
+}
+
+function formatDuration(ms) {
+  const seconds = Math.round(ms / 1000);
+  return seconds < 60
+    ? `${seconds}s`
+    : `${Math.floor(seconds / 60)}m ${String(seconds % 60).padStart(2, "0")}s`;
+}
+
+class EmbeddingPipeline {
+  constructor(
+    embeddings,
+    {
+      maxBatchTokens = DEFAULT_BATCH_TOKENS,
+      concurrency = DEFAULT_CONCURRENCY,
+      resilience = {},
+    } = {}
+  ) {
+    this.embeddings = embeddings;
+    this.resilience = resilience;
+    this.maxBatchTokens = Number(maxBatchTokens);
+    this.concurrency = Number(concurrency);
+    if (!Number.isInteger(this.maxBatchTokens) || this.maxBatchTokens < 1) {
+      throw new Error("Embedding batch tokens must be a positive integer");
+    }
+    if (!Number.isInteger(this.concurrency) || this.concurrency < 1) {
+      throw new Error("Embedding concurrency must be a positive integer");
+    }
+  }
+
+  // Embeds `texts` and calls onBatch(indexes, vectors) for every finished
+  // batch. onBatch calls never overlap, so stores need not be reentrant.
+  async run(texts, onBatch, { progress = true } = {}) {
+    const batches = batchByTokens(texts, this.maxBatchTokens);
+    const startTime = Date.now();
+    let next = 0;
+    let embedded = 0;
+    let failed = false;
+    let writes = Promise.resolve();
+    let writeError = null;
+
+    const worker = async () => {
+      while (!failed && next < batches.length) {
+        const indexes = batches[next++];
+        let vectors;
+        try {
+          vectors = await withRetry(
+            (signal) =>
+              this.embeddings.embedDocuments(
+                indexes.map((index) => texts[index]),
+                { signal }
+              ),
+            { label: `Embedding ${indexes.length} chunks`, ...this.resilience }
+          );
+        } catch (error) {
+          failed = true;
+          throw EmbeddingError.from(error, "Embedding chunks failed");
+        }
+
+        writes = writes
+          .then(() => (writeError ? undefined : onBatch(indexes, vectors)))
+          .catch((error) => {
+            writeError = writeError || error;
+            failed = true;
+          });
+        embedded += indexes.length;
+        if (progress) {
+          this.reportProgress(embedded, texts.length, startTime);
+        }
+      }
+    };
+
+    const workers = Array.from(
+      { length: Math.min(this.concurrency, batches.length) },
+      worker
+    );
+    // Already embedded batches finish writing even when another one failed
+    const results = await Promise.allSettled(workers);
+    await writes;
+    const failure = results.find((result) => result.status === "rejected");
+    if (failure) {
+      throw failure.reason;
+    }
+    if (writeError) {
+      throw writeError;
+    }
+
+    return { batches: batches.length, elapsed: Date.now() - startTime };
+  }
+
+  reportProgress(done, total, startTime) {
+    const elapsed = Date.now() - startTime;
+    const rate = done / Math.max(elapsed / 1000, 0.001);
+    const eta =
+      done < total ? `, ETA ${formatDuration(((total - done) / rate) * 1000)}` : "";
+    console.log(
+      `📄 Embedded ${done}/${total} chunks (${rate.toFixed(1)} chunks/s${eta})`
+    );
+  }
+}
+
+module.exports = { EmbeddingPipeline, batchByTokens, estimateTokens };
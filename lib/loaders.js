@@ -0,0 +1,105 @@
+// Knowledge-base file loaders, keyed by extension for DirectoryLoader. PDFs
+// load one document per page and CSVs one per row, so chunks can point back
+// to the page or row they came from. The PDF, Word and CSV loaders need
+// pdf-parse, mammoth and d3-dsv respectively.
+
+const path = require("path");
+const { glob } = require("glob");
+const { CSVLoader } = require("langchain/document_loaders/fs/csv");
+const { DocxLoader } = require("langchain/document_loaders/fs/docx");
+const { PDFLoader } = require("langchain/document_loaders/fs/pdf");
+const { TextLoader } = require("langchain/document_loaders/fs/text");
+
+const ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", nbsp: " " };
+
+function htmlToText(html) {
+  return html
+    .replace(/<(script|style|noscript|template|head)\b[\s\S]*?<\/\1>/gi, "")
+    .replace(/<!--[\s\S]*?-->/g, "")
+    .replace(/<li\b[^>]*>/gi, "\n- ")
+    .replace(/<\/t[dh]>/gi, " | ")
+    .replace(/<(br|hr)\b[^>]*>|<\/(p|div|h[1-6]|tr|ul|ol|table|section|article|header|footer|blockquote|pre)>/gi, "\n")
+    .replace(/<[^>]+>/g, "")
+    .replace(/&(#x[\da-f]+|#\d+|\w+);/gi, (entity, code) => {
+      if (code[0] === "#") {
+        return String.fromCodePoint(
+          code[1].toLowerCase() === "x" ? parseInt(code.slice(2), 16) : Number(code.slice(1))
+        );
+      }
+      return ENTITIES[code.toLowerCase()] ?? entity;
+    })
+    .split("\n")
+    .map((line) => line.replace(/[ \t]+/g, " ").trim())
+    .join("\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+class HTMLLoader extends TextLoader {
+  async parse(raw) {
+    return [htmlToText(raw)];
+  }
+}
+
+const LOADERS = {
+  ".md": (filePath) => new TextLoader(filePath),
+  ".txt": (filePath) => new TextLoader(filePath),
+  ".pdf": (filePath) => new PDFLoader(filePath, { splitPages: true }),
+  ".docx": (filePath) => new DocxLoader(filePath),
+  ".html": (filePath) => new HTMLLoader(filePath),
+  ".htm": (filePath) => new HTMLLoader(filePath),
+  ".csv": (filePath) => new CSVLoader(filePath),
+};
+
+// The loader map with every loader wrapped so that a file that fails to load
+// (or has no text, like a scanned PDF) is recorded in `skipped` instead of
+// failing its whole folder
+function createLoaders(skipped) {
+  return Object.fromEntries(
+    Object.entries(LOADERS).map(([extension, create]) => [
+      extension,
+      (filePath) => ({
+        async load() {
+          try {
+            const documents = (await create(filePath).load()).filter(
+              (doc) => doc.pageContent.trim() !== ""
+            );
+            if (documents.length === 0) {
+              skipped.push({ file: filePath, reason: "no text found" });
+            }
+            return documents;
+          } catch (error) {
+            skipped.push({ file: filePath, reason: error.message });
+            return [];
+          }
+        },
+      }),
+    ])
+  );
+}
+
+function isSupported(file) {
+  return Object.hasOwn(LOADERS, path.extname(file));
+}
+
+// Files under `folder` that no loader handles
+async function unsupportedFiles(folder) {
+  const files = await glob("**/*", { cwd: folder, nodir: true, dot: true });
+  return files
+    .filter((file) => !isSupported(file))
+    .map((file) => ({
+      file: path.join(folder, file),
+      reason: path.extname(file)
+        ? `unsupported file type ${path.extname(file)}`
+        : "no file extension",
+    }));
+}
+
+module.exports = {
+  HTMLLoader,
+  LOADERS,
+  createLoaders,
+  htmlToText,
+  isSupported,
+  unsupportedFiles,
+};
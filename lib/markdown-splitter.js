@@ -0,0 +1,216 @@
+const { Document } = require("langchain/document");
+const { RecursiveCharacterTextSplitter } = require("langchain/text_splitter");
+
+// Splits markdown along its structure instead of every N characters:
+// chunks never cross a "#" or "##" heading, and tables, list items and
+// paragraphs are kept whole whenever they fit. Each chunk records the heading
+// path it came from (e.g. "Carllm > Pricing") in metadata.heading_path.
+
+const SPLIT_LEVEL = 2;
+
+function headingLevel(line) {
+  const match = line.match(/^(#{1,6})\s+\S/);
+  return match ? match[1].length : 0;
+}
+
+const isTableRow = (line) => /^\s*\|/.test(line);
+const isListItem = (line) => /^\s{0,3}([-*+]|\d+[.)])\s+/.test(line);
+const isIndented = (line) => /^(\s{2,}|\t)\S/.test(line);
+const isRule = (line) => /^\s*([-*_])(\s*\1){2,}\s*$/.test(line);
+const isFence = (line) => /^\s*(```|~~~)/.test(line);
+
+// Turns a markdown file into a flat list of blocks, each tagged with the
+// heading path in effect where it starts.
+function parseBlocks(text) {
+  const lines = text.replace(/\r\n/g, "\n").split("\n");
+  const headings = [];
+  const blocks = [];
+  let i = 0;
+
+  const currentPath = () => headings.filter(Boolean).map((h) => h.title);
+  const push = (type, blockLines, extra = {}) => {
+    blocks.push({
+      type,
+      text: blockLines.join("\n").replace(/\s+$/, ""),
+      path: currentPath(),
+      ...extra,
+    });
+  };
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (line.trim() === "" || isRule(line)) {
+      i++;
+      continue;
+    }
+
+    const level = headingLevel(line);
+    if (level) {
+      const title = line.replace(/^#+\s+/, "").replace(/\s+#*\s*$/, "").trim();
+      headings.length = level - 1;
+      headings[level - 1] = { level, title };
+      push("heading", [line], { level });
+      i++;
+      continue;
+    }
+
+    const start = i;
+    if (isFence(line)) {
+      i++;
+      while (i < lines.length && !isFence(lines[i])) i++;
+      i++;
+      push("code", lines.slice(start, i));
+    } else if (isTableRow(line)) {
+      while (i < lines.length && isTableRow(lines[i])) i++;
+      push("table", lines.slice(start, i));
+    } else if (isListItem(line)) {
+      // A list item owns its wrapped and indented continuation lines, and
+      // nested items, even across single blank lines
+      i++;
+      while (i < lines.length) {
+        const next = lines[i];
+        if (next.trim() === "") {
+          if (i + 1 < lines.length && isIndented(lines[i + 1])) {
+            i++;
+            continue;
+          }
+          break;
+        }
+        if (
+          (isListItem(next) && !isIndented(next)) ||
+          headingLevel(next) ||
+          isTableRow(next) ||
+          isRule(next)
+        ) {
+          break;
+        }
+        i++;
+      }
+      push("list", lines.slice(start, i));
+    } else {
+      while (
+        i < lines.length &&
+        lines[i].trim() !== "" &&
+        !headingLevel(lines[i]) &&
+        !isTableRow(lines[i]) &&
+        !isListItem(lines[i]) &&
+        !isRule(lines[i])
+      ) {
+        i++;
+      }
+      push("paragraph", lines.slice(start, i));
+    }
+  }
+
+  return blocks;
+}
+
+class MarkdownStructureSplitter {
+  constructor({ chunkSize = 1000, chunkOverlap = 200 } = {}) {
+    this.chunkSize = chunkSize;
+    // Only used for blocks too big to keep whole
+    this.fallback = new RecursiveCharacterTextSplitter({
+      chunkSize,
+      chunkOverlap,
+    });
+  }
+
+  // Oversized blocks still have to be cut; tables are cut between rows and
+  // every piece repeats the header so rows stay readable on their own.
+  async splitOversizedBlock(block) {
+    if (block.type === "table") {
+      const rows = block.text.split("\n");
+      const header = rows.slice(0, 2);
+      const pieces = [];
+      let piece = [...header];
+
+      for (const row of rows.slice(2)) {
+        if (
+          piece.length > header.length &&
+          [...piece, row].join("\n").length > this.chunkSize
+        ) {
+          pieces.push(piece.join("\n"));
+          piece = [...header];
+        }
+        piece.push(row);
+      }
+      pieces.push(piece.join("\n"));
+      return pieces;
+    }
+
+    return this.fallback.splitText(block.text);
+  }
+
+  async splitText(text) {
+    const blocks = parseBlocks(text);
+    const chunks = [];
+    let current = null;
+
+    const flush = () => {
+      if (current && current.parts.length > 0) {
+        chunks.push({
+          text: current.parts.join("\n\n"),
+          headingPath: current.path.join(" > "),
+        });
+      }
+      current = null;
+    };
+
+    for (const block of blocks) {
+      if (block.type === "heading" && block.level <= SPLIT_LEVEL) {
+        if (current && !current.hasContent) {
+          // Stacked headings ("# HR Record" / "# Alex Chen" / "## Summary")
+          // stay with the first real content below them
+          current.path = block.path;
+        } else {
+          flush();
+        }
+      }
+
+      if (block.text.length > this.chunkSize) {
+        flush();
+        for (const piece of await this.splitOversizedBlock(block)) {
+          chunks.push({ text: piece, headingPath: block.path.join(" > ") });
+        }
+        continue;
+      }
+
+      const candidateLength = current
+        ? current.length + 2 + block.text.length
+        : block.text.length;
+      if (current && candidateLength > this.chunkSize) {
+        flush();
+      }
+
+      if (!current) {
+        current = { parts: [], length: 0, path: block.path, hasContent: false };
+      }
+      current.parts.push(block.text);
+      current.length = current.parts.join("\n\n").length;
+      current.hasContent = current.hasContent || block.type !== "heading";
+    }
+    flush();
+
+    return chunks;
+  }
+
+  async splitDocuments(documents) {
+    const chunks = [];
+
+    for (const doc of documents) {
+      for (const { text, headingPath } of await this.splitText(doc.pageContent)) {
+        chunks.push(
+          new Document({
+            pageContent: text,
+            metadata: { ...doc.metadata, heading_path: headingPath },
+          })
+        );
+      }
+    }
+
+    return chunks;
+  }
+}
+
+module.exports = { MarkdownStructureSplitter, parseBlocks };
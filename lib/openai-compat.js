@@ -0,0 +1,157 @@
+const crypto = require("crypto");
+const {
+  HttpError,
+  readFilter,
+  readJsonBody,
+  sendJson,
+} = require("./http-utils");
+const { RAGError } = require("./errors");
+
+// Name the RAG pipeline is published under on /v1/models. Whatever model a
+// client asks for, answers come from the chatbot's own retrieval + model.
+const RAG_MODEL_ID = "insurellm-rag";
+
+// Chat messages may carry either a string or an array of content parts
+function messageText(message) {
+  if (typeof message.content === "string") {
+    return message.content;
+  }
+  if (Array.isArray(message.content)) {
+    return message.content
+      .filter((part) => part?.type === "text")
+      .map((part) => part.text)
+      .join("\n");
+  }
+  return "";
+}
+
+// Splits an OpenAI-style message list into the question to retrieve for
+// (the last user message) and the conversation leading up to it.
+function parseMessages(messages) {
+  if (!Array.isArray(messages) || messages.length === 0) {
+    throw new HttpError(400, '"messages" must be a non-empty array');
+  }
+  if (!messages.every((m) => m !== null && typeof m === "object" && !Array.isArray(m))) {
+    throw new HttpError(400, '"messages" must only contain message objects');
+  }
+
+  const lastUserIndex = messages.map((m) => m.role).lastIndexOf("user");
+  if (lastUserIndex === -1) {
+    throw new HttpError(400, '"messages" must contain a user message');
+  }
+
+  const question = messageText(messages[lastUserIndex]).trim();
+  if (question === "") {
+    throw new HttpError(400, "The last user message is empty");
+  }
+
+  const history = messages
+    .slice(0, lastUserIndex)
+    .filter((m) => m.role === "user" || m.role === "assistant")
+    .map((m) => ({ role: m.role, content: messageText(m) }));
+
+  return { question, history };
+}
+
+function completionChunk(id, created, delta, extra = {}) {
+  return {
+    id,
+    object: "chat.completion.chunk",
+    created,
+    model: RAG_MODEL_ID,
+    choices: [{ index: 0, delta, finish_reason: extra.finish_reason || null }],
+    ...(extra.sources ? { sources: extra.sources } : {}),
+  };
+}
+
+function writeData(res, payload) {
+  if (!res.writableEnded) {
+    res.write(`data: ${JSON.stringify(payload)}\n\n`);
+  }
+}
+
+// readJsonBody only resolves to an object, so a null or array body is
+// already a 400 invalid_request_error here. `role` is the caller's, resolved
+// by the server from the request.
+async function handleChatCompletions(chatbot, req, res, { role = "standard" } = {}) {
+  const body = await readJsonBody(req);
+  const { question, history } = parseMessages(body.messages);
+  const id = `chatcmpl-${crypto.randomUUID()}`;
+  const created = Math.floor(Date.now() / 1000);
+  const chatOptions = {
+    history,
+    temperature: body.temperature,
+    maxTokens: body.max_tokens ?? body.max_completion_tokens,
+    // Extension field, same shape as POST /chat: { doc_type, source }
+    filter: readFilter(body),
+    role,
+  };
+
+  if (!body.stream) {
+    const { answer, sources } = await chatbot.chat(question, chatOptions);
+    return sendJson(res, 200, {
+      id,
+      object: "chat.completion",
+      created,
+      model: RAG_MODEL_ID,
+      choices: [
+        {
+          index: 0,
+          message: { role: "assistant", content: answer },
+          finish_reason: "stop",
+        },
+      ],
+      // Extension field: the knowledge-base chunks the answer was grounded on
+      sources,
+    });
+  }
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+  writeData(res, completionChunk(id, created, { role: "assistant" }));
+
+  try {
+    const { sources } = await chatbot.chat(question, {
+      ...chatOptions,
+      onToken: (content) =>
+        writeData(res, completionChunk(id, created, { content })),
+    });
+    writeData(
+      res,
+      completionChunk(id, created, {}, { finish_reason: "stop", sources })
+    );
+  } catch (error) {
+    writeData(res, {
+      error: {
+        message: error.message,
+        type: error instanceof RAGError ? error.code : "server_error",
+      },
+    });
+  }
+
+  res.end("data: [DONE]\n\n");
+}
+
+function handleModels(res) {
+  sendJson(res, 200, {
+    object: "list",
+    data: [
+      {
+        id: RAG_MODEL_ID,
+        object: "model",
+        created: 0,
+        owned_by: "insurellm",
+      },
+    ],
+  });
+}
+
+module.exports = {
+  RAG_MODEL_ID,
+  handleChatCompletions,
+  handleModels,
+  parseMessages,
+};
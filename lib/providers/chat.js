@@ -0,0 +1,244 @@
+const OpenAI = require("openai");
+
+const DEFAULT_MODEL = "gpt-4o-mini";
+
+// Every completion the bots make goes through a ChatProvider. A provider
+// streams plain text tokens for a list of OpenAI-style chat messages.
+// Providers that support tool calling (agent mode, lib/agent.js) also
+// implement completeWithTools().
+class ChatProvider {
+  constructor(options = {}) {
+    this.name = "base";
+    this.model = options.model || DEFAULT_MODEL;
+  }
+
+  async *streamCompletion(messages, options = {}) {
+    throw new Error(`${this.name} provider does not implement streamCompletion()`);
+  }
+
+  async complete(messages, options = {}) {
+    let text = "";
+    for await (const token of this.streamCompletion(messages, options)) {
+      text += token;
+    }
+    return text;
+  }
+
+  // One non-streamed turn in which the model may call `tools` ({ name,
+  // description, parameters } with JSON Schema parameters). Resolves to
+  // { content, toolCalls: [{ id, name, arguments }] }; `toolChoice: "none"`
+  // forces a plain answer.
+  async completeWithTools(messages, tools, options = {}) {
+    throw new Error(`${this.name} provider does not support tool calling`);
+  }
+
+  describe() {
+    return `${this.model} (${this.name})`;
+  }
+}
+
+// Models occasionally send malformed JSON arguments; the tool then reports
+// the missing parameters back instead of the whole turn failing
+function parseArguments(json) {
+  try {
+    return JSON.parse(json || "{}");
+  } catch (error) {
+    return {};
+  }
+}
+
+// OpenAI itself, or anything that speaks its API (llama.cpp server, Ollama,
+// vLLM, LM Studio...) when a baseURL is given.
+class OpenAIChatProvider extends ChatProvider {
+  constructor(options = {}) {
+    super(options);
+    this.name = options.baseURL ? "openai-compatible" : "openai";
+    this.baseURL = options.baseURL;
+
+    const apiKey = options.apiKey || process.env.OPENAI_API_KEY;
+    if (!this.baseURL && (!apiKey || apiKey === "your-openai-api-key")) {
+      throw new Error("OPENAI_API_KEY environment variable is required!");
+    }
+
+    this.client = new OpenAI({
+      // Local servers usually ignore the key, but the SDK insists on one
+      apiKey: apiKey || "not-needed",
+      baseURL: this.baseURL,
+      // Retries and timeouts are handled by lib/retry.js
+      maxRetries: 0,
+    });
+  }
+
+  async *streamCompletion(messages, { temperature = 0.7, maxTokens, signal } = {}) {
+    const stream = await this.client.chat.completions.create(
+      {
+        model: this.model,
+        messages,
+        temperature,
+        ...(maxTokens ? { max_tokens: maxTokens } : {}),
+        stream: true,
+      },
+      { signal }
+    );
+
+    for await (const chunk of stream) {
+      const content = chunk.choices[0]?.delta?.content || "";
+      if (content) {
+        yield content;
+      }
+    }
+  }
+
+  async completeWithTools(
+    messages,
+    tools,
+    { temperature = 0.7, maxTokens, signal, toolChoice = "auto" } = {}
+  ) {
+    const response = await this.client.chat.completions.create(
+      {
+        model: this.model,
+        messages,
+        temperature,
+        ...(maxTokens ? { max_tokens: maxTokens } : {}),
+        tools: tools.map(({ name, description, parameters }) => ({
+          type: "function",
+          function: { name, description, parameters },
+        })),
+        tool_choice: toolChoice,
+      },
+      { signal }
+    );
+
+    const message = response.choices[0].message;
+    return {
+      content: message.content || "",
+      toolCalls: (message.tool_calls || []).map((call) => ({
+        id: call.id,
+        name: call.function.name,
+        arguments: parseArguments(call.function.arguments),
+      })),
+    };
+  }
+
+  describe() {
+    return this.baseURL
+      ? `${this.model} (${this.name} at ${this.baseURL})`
+      : super.describe();
+  }
+}
+
+// Deterministic offline stand-in for development and tests. It never calls
+// out anywhere: the answer restates the question and quotes the first line of
+// the first context document, so retrieval is still visible in the output.
+class FakeChatProvider extends ChatProvider {
+  constructor(options = {}) {
+    super({ ...options, model: options.model || "fake" });
+    this.name = "fake";
+  }
+
+  // Query rewriting (lib/query-rewriter.js): tack the names from the last
+  // user turn onto the follow-up, which is enough to resolve "her" offline
+  condense(prompt) {
+    const [, conversation, followUp] = prompt.match(
+      /^Conversation:\n([\s\S]*)\n\nFollow-up message: ([\s\S]*)\n\nStandalone query:$/
+    );
+    const lastUserTurn = (
+      conversation.split("\n").reverse().find((line) => line.startsWith("User: ")) || ""
+    ).slice("User: ".length);
+    const names = [
+      ...lastUserTurn.matchAll(/\b[A-Z][\w-]*(?:\s+[A-Z][\w-]*)*/g),
+    ]
+      // A capitalised first word ("What", "How") is just the sentence start
+      .filter((match) => match.index > 0 || /\s/.test(match[0]))
+      .map((match) => match[0])
+      .filter((name) => !followUp.includes(name));
+    return [followUp, ...names].join(" ");
+  }
+
+  respond(messages) {
+    const question = [...messages].reverse().find((m) => m.role === "user");
+    if (question && /\nStandalone query:$/.test(question.content)) {
+      return this.condense(question.content);
+    }
+    const system = messages.find((m) => m.role === "system")?.content || "";
+    const firstDocument = system.match(/^Document 1\b.*:\n(.+)$/m);
+
+    let answer = `You asked: "${question ? question.content : ""}".`;
+    if (firstDocument) {
+      answer += ` The most relevant document says: ${firstDocument[1].trim()} [1]`;
+    } else {
+      answer += " I could not find this in the provided documents.";
+    }
+    return answer;
+  }
+
+  async *streamCompletion(messages) {
+    // Stream word by word so callers exercise the same code path as OpenAI
+    for (const token of this.respond(messages).split(/(?<= )/)) {
+      yield token;
+    }
+  }
+
+  // Agent mode: search the knowledge base for the question once, then answer
+  // from the first result, citing it
+  async completeWithTools(messages, tools, { toolChoice = "auto" } = {}) {
+    const lastUser = messages.map((m) => m.role).lastIndexOf("user");
+    const question = messages[lastUser].content;
+    const results = messages.slice(lastUser + 1).filter((m) => m.role === "tool");
+    const search = tools.some((tool) => tool.name === "search_knowledge_base");
+
+    if (results.length === 0 && search && toolChoice !== "none") {
+      return {
+        content: "",
+        toolCalls: [
+          { id: "call_1", name: "search_knowledge_base", arguments: { query: question } },
+        ],
+      };
+    }
+
+    const first = results
+      .map((m) => m.content.match(/^\[(\d+)\] .*\n(.+)$/m))
+      .find(Boolean);
+    return {
+      content: first
+        ? `You asked: "${question}". The most relevant document says: ${first[2].trim()} [${first[1]}]`
+        : `You asked: "${question}". I could not find this in the knowledge base.`,
+      toolCalls: [],
+    };
+  }
+}
+
+const CHAT_PROVIDERS = {
+  openai: OpenAIChatProvider,
+  fake: FakeChatProvider,
+  echo: FakeChatProvider,
+};
+
+// Picks the provider from explicit options first, then LLM_* env vars.
+// Setting only a base URL implies an OpenAI-compatible server.
+function createChatProvider(options = {}) {
+  const name = options.provider || process.env.LLM_PROVIDER || "openai";
+  const Provider = CHAT_PROVIDERS[name];
+  if (!Provider) {
+    throw new Error(
+      `Unknown LLM provider "${name}". Available providers: ${Object.keys(
+        CHAT_PROVIDERS
+      ).join(", ")}`
+    );
+  }
+
+  return new Provider({
+    model: options.model || process.env.LLM_MODEL,
+    baseURL: options.baseURL || process.env.LLM_BASE_URL,
+    apiKey: options.apiKey || process.env.LLM_API_KEY,
+  });
+}
+
+module.exports = {
+  CHAT_PROVIDERS,
+  ChatProvider,
+  FakeChatProvider,
+  OpenAIChatProvider,
+  createChatProvider,
+  DEFAULT_MODEL,
+};
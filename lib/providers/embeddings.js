@@ -0,0 +1,195 @@
+const crypto = require("crypto");
+const OpenAI = require("openai");
+
+const OPENAI_DIMENSIONS = {
+  "text-embedding-3-small": 1536,
+  "text-embedding-3-large": 3072,
+  "text-embedding-ada-002": 1536,
+};
+
+// Mirrors fastembed's own model list so the dimension is known before the
+// (lazily loaded) ONNX model is initialised
+const FASTEMBED_DIMENSIONS = {
+  "fast-all-MiniLM-L6-v2": 384,
+  "fast-bge-base-en": 768,
+  "fast-bge-base-en-v1.5": 768,
+  "fast-bge-small-en": 384,
+  "fast-bge-small-en-v1.5": 384,
+  "fast-bge-small-zh-v1.5": 512,
+  "fast-multilingual-e5-large": 1024,
+};
+
+// Every embedding the bots compute goes through an EmbeddingProvider, which
+// also reports the vector dimension so stores can be sized to match. Remote
+// providers drop the request when `signal` is aborted (lib/retry.js timeouts).
+class EmbeddingProvider {
+  constructor(options = {}) {
+    this.name = "base";
+    this.model = options.model;
+    this.dimension = 0;
+  }
+
+  // Identifies the vector space: vectors from different ids never mix
+  get id() {
+    return `${this.name}:${this.model}:${this.dimension}`;
+  }
+
+  async init() {}
+
+  async embedQuery(text, options = {}) {
+    const [embedding] = await this.embedDocuments([text], options);
+    return embedding;
+  }
+
+  async embedDocuments(texts, { signal } = {}) {
+    throw new Error(`${this.name} provider does not implement embedDocuments()`);
+  }
+
+  describe() {
+    return `${this.model} (${this.name}, ${this.dimension} dimensions)`;
+  }
+}
+
+class OpenAIEmbeddingProvider extends EmbeddingProvider {
+  constructor(options = {}) {
+    super({ ...options, model: options.model || "text-embedding-3-small" });
+    this.name = "openai";
+    this.dimension = OPENAI_DIMENSIONS[this.model] || options.dimension;
+    if (!this.dimension) {
+      throw new Error(
+        `Unknown dimension for embedding model "${this.model}". Set EMBEDDING_DIMENSION.`
+      );
+    }
+
+    const apiKey = options.apiKey || process.env.OPENAI_API_KEY;
+    if (!options.baseURL && (!apiKey || apiKey === "your-openai-api-key")) {
+      throw new Error("OPENAI_API_KEY environment variable is required!");
+    }
+
+    this.client = new OpenAI({
+      apiKey: apiKey || "not-needed",
+      baseURL: options.baseURL,
+      // Retries and timeouts are handled by lib/retry.js
+      maxRetries: 0,
+    });
+  }
+
+  async embedDocuments(texts, { signal } = {}) {
+    const response = await this.client.embeddings.create(
+      {
+        model: this.model,
+        input: texts,
+      },
+      { signal }
+    );
+
+    return response.data
+      .sort((a, b) => a.index - b.index)
+      .map((item) => item.embedding);
+  }
+}
+
+// Runs a small ONNX model on the CPU through fastembed. The model files are
+// downloaded into FASTEMBED_CACHE_DIR the first time; after that indexing
+// needs neither network access nor an API key.
+class FastEmbedProvider extends EmbeddingProvider {
+  constructor(options = {}) {
+    super({ ...options, model: options.model || "fast-bge-small-en-v1.5" });
+    this.name = "fastembed";
+    this.dimension = FASTEMBED_DIMENSIONS[this.model];
+    if (!this.dimension) {
+      throw new Error(
+        `Unknown fastembed model "${this.model}". Available models: ${Object.keys(
+          FASTEMBED_DIMENSIONS
+        ).join(", ")}`
+      );
+    }
+    this.cacheDir = options.cacheDir || process.env.FASTEMBED_CACHE_DIR || "local_cache";
+    this.embedder = null;
+  }
+
+  async init() {
+    if (this.embedder) {
+      return;
+    }
+
+    const { FlagEmbedding } = require("fastembed");
+    console.log(`Loading local embedding model ${this.model}...`);
+    this.embedder = await FlagEmbedding.init({
+      model: this.model,
+      cacheDir: this.cacheDir,
+    });
+  }
+
+  async embedQuery(text) {
+    await this.init();
+    return Array.from(await this.embedder.queryEmbed(text));
+  }
+
+  async embedDocuments(texts) {
+    await this.init();
+
+    const embeddings = [];
+    for await (const batch of this.embedder.passageEmbed(texts)) {
+      embeddings.push(...batch.map((vector) => Array.from(vector)));
+    }
+    return embeddings;
+  }
+}
+
+// Deterministic, dependency-free stand-in for tests and offline development:
+// hashes word tokens into a fixed-size bag-of-words vector.
+class FakeEmbeddingProvider extends EmbeddingProvider {
+  constructor(options = {}) {
+    super({ ...options, model: options.model || "hashed-bow" });
+    this.name = "fake";
+    this.dimension = options.dimension || 256;
+  }
+
+  async embedDocuments(texts) {
+    return texts.map((text) => {
+      const vector = new Array(this.dimension).fill(0);
+      for (const token of text.toLowerCase().match(/[a-z0-9$]+/g) || []) {
+        const hash = crypto.createHash("md5").update(token).digest();
+        vector[hash.readUInt32LE(0) % this.dimension] += 1;
+      }
+      return vector;
+    });
+  }
+}
+
+const EMBEDDING_PROVIDERS = {
+  openai: OpenAIEmbeddingProvider,
+  fastembed: FastEmbedProvider,
+  fake: FakeEmbeddingProvider,
+};
+
+// Picks the provider from explicit options first, then EMBEDDING_* env vars
+function createEmbeddingProvider(options = {}) {
+  const name =
+    options.provider || process.env.EMBEDDING_PROVIDER || "openai";
+  const Provider = EMBEDDING_PROVIDERS[name];
+  if (!Provider) {
+    throw new Error(
+      `Unknown embedding provider "${name}". Available providers: ${Object.keys(
+        EMBEDDING_PROVIDERS
+      ).join(", ")}`
+    );
+  }
+
+  return new Provider({
+    model: options.model || process.env.EMBEDDING_MODEL,
+    dimension:
+      options.dimension || Number(process.env.EMBEDDING_DIMENSION) || undefined,
+    baseURL: options.baseURL || process.env.EMBEDDING_BASE_URL,
+  });
+}
+
+module.exports = {
+  EMBEDDING_PROVIDERS,
+  EmbeddingProvider,
+  FakeEmbeddingProvider,
+  FastEmbedProvider,
+  OpenAIEmbeddingProvider,
+  createEmbeddingProvider,
+};
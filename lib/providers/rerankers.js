@@ -0,0 +1,208 @@
+const fs = require("fs");
+const path = require("path");
+const { withRetry } = require("../retry");
+
+const CROSS_ENCODER_MODEL = "Xenova/ms-marco-MiniLM-L-6-v2";
+const HUGGING_FACE_URL = "https://huggingface.co";
+// Query + passage pairs longer than this are truncated (BERT's limit)
+const CROSS_ENCODER_MAX_TOKENS = 512;
+const CROSS_ENCODER_BATCH_SIZE = 16;
+
+// A reranker reads the query together with each candidate passage, which is
+// slower than comparing two precomputed vectors but much better at telling
+// "mentions the same words" apart from "answers the question". It returns
+// one relevance score per document, higher meaning more relevant.
+class Reranker {
+  constructor(options = {}) {
+    this.name = "base";
+    this.model = options.model;
+  }
+
+  async init() {}
+
+  async score(query, documents) {
+    throw new Error(`${this.name} reranker does not implement score()`);
+  }
+
+  // Returns the documents sorted by reranker score, each with rerank_score
+  async rerank(query, documents) {
+    if (documents.length === 0) {
+      return [];
+    }
+
+    const scores = await this.score(query, documents);
+    return documents
+      .map((doc, index) => ({ ...doc, rerank_score: scores[index] }))
+      .sort((a, b) => b.rerank_score - a.rerank_score);
+  }
+
+  describe() {
+    return `${this.model} (${this.name})`;
+  }
+}
+
+// MS MARCO cross-encoder run on the CPU with onnxruntime, the same runtime
+// (and tokenizer bindings) fastembed uses for local embeddings. The ONNX
+// model and tokenizer are downloaded into FASTEMBED_CACHE_DIR on first use.
+class CrossEncoderReranker extends Reranker {
+  constructor(options = {}) {
+    super({ ...options, model: options.model || CROSS_ENCODER_MODEL });
+    this.name = "cross-encoder";
+    this.cacheDir =
+      options.cacheDir || process.env.FASTEMBED_CACHE_DIR || "local_cache";
+    this.session = null;
+    this.tokenizer = null;
+  }
+
+  async download(file) {
+    const target = path.join(this.cacheDir, this.model.replace(/\//g, "--"), file);
+    if (fs.existsSync(target)) {
+      return target;
+    }
+
+    const url = `${HUGGING_FACE_URL}/${this.model}/resolve/main/${file}`;
+    console.log(`Downloading ${url}...`);
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`Failed to download ${url}: HTTP ${response.status}`);
+    }
+
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(`${target}.tmp`, Buffer.from(await response.arrayBuffer()));
+    fs.renameSync(`${target}.tmp`, target);
+    return target;
+  }
+
+  async init() {
+    if (this.session) {
+      return;
+    }
+
+    const ort = require("onnxruntime-node");
+    const { Tokenizer } = require("@anush008/tokenizers");
+
+    console.log(`Loading cross-encoder ${this.model}...`);
+    this.tokenizer = Tokenizer.fromFile(await this.download("tokenizer.json"));
+    this.tokenizer.setTruncation(CROSS_ENCODER_MAX_TOKENS);
+    // Pads every batch to its longest pair
+    this.tokenizer.setPadding();
+    this.session = await ort.InferenceSession.create(
+      await this.download("onnx/model_quantized.onnx"),
+      { executionProviders: ["cpu"], graphOptimizationLevel: "all" }
+    );
+    this.ort = ort;
+  }
+
+  async score(query, documents) {
+    await this.init();
+
+    const scores = [];
+    for (let i = 0; i < documents.length; i += CROSS_ENCODER_BATCH_SIZE) {
+      const batch = documents.slice(i, i + CROSS_ENCODER_BATCH_SIZE);
+      const encodings = await this.tokenizer.encodeBatch(
+        batch.map((doc) => [query, doc.text])
+      );
+
+      const length = encodings[0].getIds().length;
+      const tensor = (getValues) =>
+        new this.ort.Tensor(
+          "int64",
+          BigInt64Array.from(encodings.flatMap((encoding) => getValues(encoding).map(BigInt))),
+          [batch.length, length]
+        );
+
+      const { logits } = await this.session.run({
+        input_ids: tensor((encoding) => encoding.getIds()),
+        attention_mask: tensor((encoding) => encoding.getAttentionMask()),
+        token_type_ids: tensor((encoding) => encoding.getTypeIds()),
+      });
+
+      // One logit per pair; squash it into 0..1
+      for (const logit of logits.data) {
+        scores.push(1 / (1 + Math.exp(-logit)));
+      }
+    }
+
+    return scores;
+  }
+}
+
+const LLM_RERANK_PROMPT = `You judge how relevant passages from a knowledge base are to a search query.
+
+Rate every passage from 0 (irrelevant) to 10 (directly answers the query). Reply with one line per passage in the form "<passage number>: <score>" and nothing else.`;
+
+// Asks the chat model to grade all candidates in a single call. Slower and
+// costlier than the cross-encoder, but needs no local model.
+class LLMReranker extends Reranker {
+  constructor(options = {}) {
+    super(options);
+    this.name = "llm";
+    this.llm = options.llm;
+    this.model = this.llm.model;
+    this.resilience = options.resilience || {};
+  }
+
+  async score(query, documents) {
+    const passages = documents
+      .map((doc, index) => `Passage ${index + 1}:\n${doc.text}`)
+      .join("\n\n");
+
+    const reply = await withRetry(
+      (signal) =>
+        this.llm.complete(
+          [
+            { role: "system", content: LLM_RERANK_PROMPT },
+            { role: "user", content: `Query: ${query}\n\n${passages}` },
+          ],
+          { temperature: 0, signal }
+        ),
+      { label: "LLM reranking", ...this.resilience }
+    );
+
+    // Passages the model skipped keep a score of 0
+    const scores = new Array(documents.length).fill(0);
+    for (const [, number, score] of reply.matchAll(/^\D*(\d+)\s*:\s*(\d+(?:\.\d+)?)/gm)) {
+      const index = Number(number) - 1;
+      if (index >= 0 && index < documents.length) {
+        scores[index] = Math.min(Number(score), 10) / 10;
+      }
+    }
+    return scores;
+  }
+}
+
+const RERANKERS = {
+  "cross-encoder": CrossEncoderReranker,
+  llm: LLMReranker,
+};
+
+// `llm` is the chatbot's chat provider, used by the llm reranker
+function createReranker(options = {}) {
+  const name = options.provider || process.env.RERANKER;
+  if (!name || name === "none") {
+    return null;
+  }
+
+  const Implementation = RERANKERS[name];
+  if (!Implementation) {
+    throw new Error(
+      `Unknown reranker "${name}". Available rerankers: ${Object.keys(
+        RERANKERS
+      ).join(", ")}, none`
+    );
+  }
+
+  return new Implementation({
+    model: options.model || process.env.RERANKER_MODEL,
+    llm: options.llm,
+    resilience: options.resilience,
+  });
+}
+
+module.exports = {
+  CrossEncoderReranker,
+  LLMReranker,
+  RERANKERS,
+  Reranker,
+  createReranker,
+};
@@ -0,0 +1,60 @@
+// Follow-ups such as "what's her salary?" make poor search queries: the
+// person or contract they refer to is only named earlier in the conversation.
+// QueryRewriter asks the chat model to condense the latest message and the
+// recent history into one standalone query, which is what gets retrieved on.
+
+const { withRetry } = require("./retry");
+
+const CONDENSE_PROMPT = `You rewrite follow-up messages into standalone search queries for a knowledge base about the insurance technology company Insurellm.
+
+Use the conversation to resolve pronouns and references ("her", "that one", "it", "the same client") to the names they refer to, and keep every name, product and number that matters. If the message already stands on its own, return it unchanged.
+
+Reply with the rewritten query only: no quotes, no explanation.`;
+
+// Only the most recent turns are needed to resolve a reference
+const HISTORY_MESSAGES = 6;
+
+class QueryRewriter {
+  constructor(llm, { historyMessages = HISTORY_MESSAGES, resilience = {} } = {}) {
+    this.llm = llm;
+    this.historyMessages = historyMessages;
+    this.resilience = resilience;
+  }
+
+  async rewrite(message, history = []) {
+    if (history.length === 0) {
+      return message;
+    }
+
+    const conversation = history
+      .slice(-this.historyMessages)
+      .map(({ role, content }) => `${role === "user" ? "User" : "Assistant"}: ${content}`)
+      .join("\n");
+
+    try {
+      const rewritten = await withRetry(
+        (signal) =>
+          this.llm.complete(
+            [
+              { role: "system", content: CONDENSE_PROMPT },
+              {
+                role: "user",
+                content: `Conversation:\n${conversation}\n\nFollow-up message: ${message}\n\nStandalone query:`,
+              },
+            ],
+            { temperature: 0, maxTokens: 100, signal }
+          ),
+        { label: "Rewriting the query", ...this.resilience }
+      );
+
+      const query = rewritten.trim().replace(/^["']|["']$/g, "");
+      return query || message;
+    } catch (error) {
+      // Retrieving on the raw message is worse, but still better than failing
+      console.error("⚠️ Query rewriting failed:", error.message);
+      return message;
+    }
+  }
+}
+
+module.exports = { QueryRewriter, CONDENSE_PROMPT };
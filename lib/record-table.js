@@ -0,0 +1,151 @@
+const fs = require("fs");
+const path = require("path");
+
+const { MANIFEST_DIR } = require("./sync");
+
+// Version 2 dropped the employees' dates of birth, salaries and ratings;
+// older files are re-parsed (and overwritten) on the next start
+const TABLE_VERSION = 2;
+// Words any question may use without asking for anything in particular
+const FILLER = new Set(
+  `a an the is are was were be been being do does did have has had of in on at to
+  for from by with and or any all our we us you your me my i it its this that
+  these those there their them they what which who whom whose how many much
+  please tell show list give find name names can could would will should s t
+  don doesn didn currently now insurellm`.split(/\s+/)
+);
+
+// Splits a Markdown document into { heading: lines } by "##" headings
+function markdownSections(text) {
+  const sections = {};
+  let current = (sections[""] = []);
+  for (const line of text.split("\n")) {
+    const heading = line.match(/^##\s+(.+?)\s*$/);
+    if (heading) {
+      current = sections[heading[1]] = [];
+    } else {
+      current.push(line);
+    }
+  }
+  return sections;
+}
+
+// Finds a section by the start of its heading ("Compensation" matches
+// "Compensation History")
+function findSection(sections, prefix) {
+  const heading = Object.keys(sections).find((name) =>
+    name.toLowerCase().startsWith(prefix.toLowerCase())
+  );
+  return heading ? sections[heading] : [];
+}
+
+// The words of `question` that a table query can't account for: anything
+// that isn't filler, a number or in `vocabulary`. A question with words left
+// over asks for more than the table knows ("which engineer led the Innovate
+// initiative?"), so the table can only help, not answer.
+function unmatchedWords(question, vocabulary) {
+  return (question.toLowerCase().match(/[a-z]+/g) || []).filter(
+    (word) => !FILLER.has(word) && !vocabulary(word)
+  );
+}
+
+// Structured records extracted from knowledge-base files at ingestion, kept
+// in .rag-sync/ next to the store's sync manifest so they survive restarts
+// without re-reading every file. Subclasses say which documents they parse
+// and how; every record remembers the `source` file it came from, so a
+// changed or deleted file replaces just its own records.
+class RecordTable {
+  constructor(name, storeId) {
+    this.name = name;
+    this.filePath = storeId
+      ? path.join(MANIFEST_DIR, `${storeId.replace(/[^\w.-]/g, "_")}.${name}.json`)
+      : null;
+    this.records = [];
+    this.exists = false;
+  }
+
+  // Returns a record for `doc`, or null when it isn't one of ours
+  parse(doc) {
+    throw new Error(`${this.constructor.name} must implement parse()`);
+  }
+
+  // What a citation of `record` calls it
+  label(record) {
+    return record.source;
+  }
+
+  // `record` as a context document citing the file it came from, for
+  // questions the table only partly answers
+  document(record) {
+    return {
+      id: `${this.name}:${record.source}`,
+      text: this.constructor.line(record),
+      metadata: {
+        source: record.source,
+        doc_type: record.doc_type,
+        heading_path: this.label(record),
+      },
+    };
+  }
+
+  load() {
+    if (!this.filePath || !fs.existsSync(this.filePath)) {
+      return this;
+    }
+
+    const data = JSON.parse(fs.readFileSync(this.filePath, "utf8"));
+    if (data.version === TABLE_VERSION) {
+      this.records = data.records;
+      this.exists = true;
+    }
+    return this;
+  }
+
+  save() {
+    this.exists = true;
+    if (!this.filePath) {
+      return;
+    }
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(
+      this.filePath,
+      JSON.stringify({ version: TABLE_VERSION, records: this.records }, null, 2)
+    );
+  }
+
+  // Rebuilds the table from a full load of the knowledge base
+  reset(documents) {
+    this.records = [];
+    return this.replaceSources(
+      documents.map((doc) => doc.metadata.source),
+      documents
+    );
+  }
+
+  // Swaps the records of `sources` for whatever `documents` (the current
+  // content of those files, empty when deleted) parse into
+  replaceSources(sources, documents) {
+    const replaced = new Set(sources);
+    this.records = this.records.filter((record) => !replaced.has(record.source));
+
+    for (const doc of documents) {
+      const record = this.parse(doc);
+      if (record) {
+        this.records.push({
+          ...record,
+          doc_type: doc.metadata.doc_type,
+          source: doc.metadata.source,
+        });
+      }
+    }
+    this.records.sort((a, b) => a.source.localeCompare(b.source));
+    return this;
+  }
+
+  get size() {
+    return this.records.length;
+  }
+}
+
+module.exports = { RecordTable, findSection, markdownSections, unmatchedWords };
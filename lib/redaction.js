@@ -0,0 +1,227 @@
+// PII redaction. The HR records carry dates of birth, compensation,
+// performance ratings and personal details. Chunks containing any of them are
+// tagged with the kinds found (metadata `pii`) at ingestion, and for sessions
+// without an elevated role the values are masked before they reach the
+// prompt, so the model can't repeat them. Answers, the saved chat history and
+// log lines are masked as well, in case a question or answer brings some in.
+//
+// Each kind is a regular expression (case-insensitive); when it has capture
+// groups only the first group that matched is masked, so "Date of Birth:"
+// stays and the date goes. All of them can be replaced or, with an empty
+// string, turned off in lib/config.js (pii.patterns.*).
+
+// Every way the HR records rate a year's performance. The single words are
+// ordinary English outside a rating, so on their own they only count after
+// "rated", "rating" or "performance", or under a performance heading.
+const RATING_PHRASES =
+  "\\d(?:\\.\\d)?\\s?/\\s?5|(?:exceeds|exceeded|meets|met|below|does not meet)\\s+expectations|needs improvement";
+const RATING_WORDS = "exceptional|outstanding|developing|satisfactory";
+const RATING_TERMS = `${RATING_PHRASES}|${RATING_WORDS}`;
+
+const PII_PATTERNS = {
+  dateOfBirth:
+    "\\b(?:date of birth|DOB|birth ?date|born(?: on)?)\\b[\\s:*]*((?:January|February|March|April|May|June|July|August|September|October|November|December)\\s+\\d{1,2},?\\s+\\d{4}|\\d{4}-\\d{2}-\\d{2}|\\d{1,2}/\\d{1,2}/\\d{2,4})",
+  compensation:
+    "\\b(?:salary|salaries|bonus(?:es)?|compensation|earn(?:s|ed|ing)?|income|wages?|raise|increase|adjustment)\\b[^.\\n$]{0,40}?(\\$\\s?[\\d,]+(?:\\.\\d+)?(?:\\s?[km]\\b)?)|(\\$\\s?[\\d,]+(?:\\.\\d+)?(?:\\s?[km]\\b)?)(?=\\s+(?:\\w+\\s+)?(?:salary|bonus|compensation|raise))",
+  performanceRating: `\\b(?:${RATING_PHRASES})\\b|\\b(?:rat(?:ed|ing)|performance)\\b[\\s:*"'_-]{0,8}(${RATING_WORDS})\\b`,
+  personalDetails:
+    "\\b(?:personal interests|interests|hobbies|marital status|family|spouse|children|home address|medical|health)\\b[^:\\n]{0,20}:[\\s*]*([^\\n]+)",
+  contact:
+    "\\b[\\w.+-]+@[\\w-]+\\.[\\w.-]+\\b|\\b\\d{3}-\\d{2}-\\d{4}\\b|\\(?\\b\\d{3}\\)?[-.\\s]\\d{3}[-.\\s]\\d{4}\\b",
+};
+
+// Under these headings every dollar amount is compensation, including
+// tables and lines like "2022-04: Merit-based increase: $55,000", and every
+// rating term is a rating, as in "- **2021**: **Exceptional**"
+const COMPENSATION_SECTIONS = "compensation|salary|pay history";
+const PERFORMANCE_SECTIONS = "performance";
+const AMOUNT = /\$\s?[\d,]+(?:\.\d+)?(?:\s?[km]\b)?/gi;
+const RATING = new RegExp(`\\b(?:${RATING_TERMS})\\b`, "gi");
+
+// The end of a streamed answer that the next tokens could still turn into a
+// value: an unfinished word (an email address, a rating), a number with up
+// to two words after it ("$90,000" before "base salary", "(415) 555" before
+// "1234"), a date missing its year, or up to three words after the start of
+// a rating phrase ("does not meet" before "expectations")
+const UNFINISHED = new RegExp(
+  [
+    "\\S+$",
+    "[$\\d(](?:[\\d,()/-]|\\.(?=\\d|$))*(?:\\s+[\\w()/-]*){0,2}$",
+    "\\b(?:January|February|March|April|May|June|July|August|September|October|November|December)[\\s\\d,]*$",
+    "\\b(?:exceed(?:s|ed)?|meets|met|below|does|needs)\\b(?:\\s+\\S*){0,3}$",
+  ].join("|"),
+  "i"
+);
+
+// "dateOfBirth" -> "[redacted date of birth]"
+function marker(name) {
+  return `[redacted ${name.replace(/[A-Z]/g, (letter) => ` ${letter.toLowerCase()}`)}]`;
+}
+
+class Redactor {
+  constructor({
+    patterns = PII_PATTERNS,
+    compensationSections = COMPENSATION_SECTIONS,
+    performanceSections = PERFORMANCE_SECTIONS,
+  } = {}) {
+    this.patterns = Object.entries({ ...PII_PATTERNS, ...patterns })
+      .filter(([, source]) => source)
+      .map(([name, source]) => ({ name, regex: new RegExp(source, "gid") }));
+    this.sections = [
+      { name: "compensation", heading: compensationSections, value: AMOUNT },
+      { name: "performanceRating", heading: performanceSections, value: RATING },
+    ]
+      .filter(({ heading }) => heading)
+      .map((rule) => ({ ...rule, heading: new RegExp(rule.heading, "i") }));
+  }
+
+  // [start, end, kind] of every PII value in `text`. `section` is the heading
+  // the text sits under (a chunk's heading path), if any.
+  find(text, { section = "" } = {}) {
+    const ranges = [];
+    for (const { name, regex } of this.patterns) {
+      for (const match of text.matchAll(regex)) {
+        const group = match.indices.findIndex((span, index) => index > 0 && span);
+        const [start, end] = group > 0 ? match.indices[group] : match.indices[0];
+        if (end > start) {
+          ranges.push([start, end, name]);
+        }
+      }
+    }
+
+    let heading = section;
+    let offset = 0;
+    for (const line of text.split("\n")) {
+      const title = line.match(/^#{1,6}\s+(.+)$/);
+      if (title) {
+        heading = title[1];
+      } else {
+        for (const { name, heading: within, value } of this.sections) {
+          if (!within.test(heading)) {
+            continue;
+          }
+          for (const match of line.matchAll(value)) {
+            ranges.push([offset + match.index, offset + match.index + match[0].length, name]);
+          }
+        }
+      }
+      offset += line.length + 1;
+    }
+
+    return ranges.sort((a, b) => a[0] - b[0]);
+  }
+
+  // The kinds of PII in `text`, e.g. ["dateOfBirth", "compensation"]
+  kinds(text, options) {
+    return [...new Set(this.find(text, options).map(([, , name]) => name))];
+  }
+
+  redact(text, options) {
+    let output = "";
+    let position = 0;
+    for (const [start, end, name] of this.find(text, options)) {
+      // Overlapping matches extend the mask already written
+      if (start < position) {
+        position = Math.max(position, end);
+        continue;
+      }
+      output += text.slice(position, start) + marker(name);
+      position = end;
+    }
+    return output + text.slice(position);
+  }
+}
+
+// Masks a streamed answer. Text goes out as soon as it can no longer become
+// part of a value: only a value that may still run on (nothing but
+// whitespace has arrived after it) or the UNFINISHED text at the end is held
+// back, so a value split across tokens is never sent half-masked. Everything
+// from the start of the line is matched each time, so a label sent earlier
+// ("Salary:", "Rated") still counts, and a value may start on the line after
+// its label ("Interests:" above a list).
+class RedactionStream {
+  constructor(redactor) {
+    this.redactor = redactor;
+    // The text from the start of the first line not completely sent
+    this.text = "";
+    // How much of `text` has been sent
+    this.sent = 0;
+    this.heading = "";
+  }
+
+  push(token) {
+    this.text += token;
+    const ranges = this.find();
+    const output = this.release(this.settled(ranges), ranges);
+
+    // Lines that went out in full are only kept as the heading they set,
+    // except the last one, which may hold the label of the next line's value
+    const lastLine = this.text.lastIndexOf("\n", this.sent - 1);
+    const lineEnd = lastLine > 0 ? this.text.lastIndexOf("\n", lastLine - 1) : -1;
+    if (lineEnd !== -1) {
+      for (const line of this.text.slice(0, lineEnd).split("\n")) {
+        const title = line.match(/^#{1,6}\s+(.+)$/);
+        if (title) {
+          this.heading = title[1];
+        }
+      }
+      this.text = this.text.slice(lineEnd + 1);
+      this.sent -= lineEnd + 1;
+    }
+    return output;
+  }
+
+  flush() {
+    const output = this.release(this.text.length, this.find());
+    this.text = "";
+    this.sent = 0;
+    return output;
+  }
+
+  find() {
+    return this.redactor.find(this.text, { section: this.heading });
+  }
+
+  // How much of `text` no later token can change the masking of: up to the
+  // unfinished end, or to the start of a value that may still run on, and
+  // never into the middle of a value
+  settled(ranges) {
+    const unfinished = this.text.slice(this.sent).match(UNFINISHED);
+    let end = unfinished ? this.sent + unfinished.index : this.text.length;
+    for (const [start, stop] of [...ranges].reverse()) {
+      if (/^\s*$/.test(this.text.slice(stop)) || (start < end && stop > end)) {
+        end = Math.min(end, start);
+      }
+    }
+    return Math.max(end, this.sent);
+  }
+
+  // The masked text from what was already sent up to `end`
+  release(end, ranges) {
+    let output = "";
+    let position = this.sent;
+    for (const [start, stop, name] of ranges) {
+      if (stop <= position || start >= end) {
+        continue;
+      }
+      // The rest of a value whose mask already went out
+      if (start < position) {
+        position = stop;
+        continue;
+      }
+      output += this.text.slice(position, start) + marker(name);
+      position = stop;
+    }
+    output += this.text.slice(position, end);
+    this.sent = Math.max(end, this.sent);
+    return output;
+  }
+}
+
+module.exports = {
+  COMPENSATION_SECTIONS,
+  PERFORMANCE_SECTIONS,
+  PII_PATTERNS,
+  RedactionStream,
+  Redactor,
+};
@@ -0,0 +1,127 @@
+// Shared resilience layer for calls to OpenAI and the vector stores: every
+// attempt gets a timeout, and rate limits (429), server errors (5xx),
+// timeouts and dropped connections are retried with exponential backoff and
+// full jitter. Anything else (bad request, auth) fails straight away.
+
+const DEFAULT_RETRIES = 3;
+const DEFAULT_TIMEOUT_MS = 30000;
+const BASE_DELAY_MS = 500;
+const MAX_DELAY_MS = 10000;
+
+const CONNECTION_ERROR_CODES = new Set([
+  "ECONNREFUSED",
+  "ECONNRESET",
+  "ENOTFOUND",
+  "EAI_AGAIN",
+  "EPIPE",
+  "ETIMEDOUT",
+  "UND_ERR_CONNECT_TIMEOUT",
+  "UND_ERR_SOCKET",
+]);
+
+class TimeoutError extends Error {
+  constructor(label, timeoutMs) {
+    super(`${label} timed out after ${timeoutMs}ms`);
+    this.name = "TimeoutError";
+  }
+}
+
+function statusOf(error) {
+  return error.status ?? error.statusCode ?? error.response?.status;
+}
+
+// fetch() and the SDKs built on it bury the socket error in `cause`
+function isConnectionError(error) {
+  for (let current = error; current; current = current.cause) {
+    if (
+      CONNECTION_ERROR_CODES.has(current.code) ||
+      current.name === "APIConnectionError" ||
+      current.message === "fetch failed"
+    ) {
+      return true;
+    }
+  }
+  return false;
+}
+
+function isRetryable(error) {
+  const status = statusOf(error);
+  return (
+    error instanceof TimeoutError ||
+    status === 408 ||
+    status === 429 ||
+    status >= 500 ||
+    isConnectionError(error)
+  );
+}
+
+// Honours Retry-After (seconds) when the server sends one
+function retryAfterMs(error) {
+  const headers = error.headers || error.response?.headers;
+  const value =
+    typeof headers?.get === "function" ? headers.get("retry-after") : headers?.["retry-after"];
+  const seconds = Number(value);
+  return value && Number.isFinite(seconds) ? seconds * 1000 : null;
+}
+
+function backoffDelay(attempt, error) {
+  const ceiling = Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** attempt);
+  return retryAfterMs(error) ?? Math.random() * ceiling;
+}
+
+// Runs fn(signal) with a timeout; the signal is aborted when time runs out so
+// clients that accept one (OpenAI, fetch) drop the request. The timeout is
+// settled first, so the abort error the client then throws can't win the race.
+async function withTimeout(fn, timeoutMs, label) {
+  const controller = new AbortController();
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      reject(new TimeoutError(label, timeoutMs));
+      controller.abort();
+    }, timeoutMs);
+  });
+
+  try {
+    return await Promise.race([fn(controller.signal), timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+async function withRetry(
+  fn,
+  {
+    label = "Request",
+    retries = DEFAULT_RETRIES,
+    timeoutMs = DEFAULT_TIMEOUT_MS,
+  } = {}
+) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await withTimeout(fn, timeoutMs, label);
+    } catch (error) {
+      if (attempt >= retries || !isRetryable(error)) {
+        throw error;
+      }
+
+      const delay = backoffDelay(attempt, error);
+      console.log(
+        `⚠️ ${label} failed (${error.message}); retrying in ${Math.round(delay)}ms (${
+          attempt + 1
+        }/${retries})`
+      );
+      await new Promise((resolve) => setTimeout(resolve, delay));
+    }
+  }
+}
+
+module.exports = {
+  DEFAULT_RETRIES,
+  DEFAULT_TIMEOUT_MS,
+  TimeoutError,
+  isConnectionError,
+  isRetryable,
+  withRetry,
+  withTimeout,
+};
@@ -0,0 +1,212 @@
+const http = require("http");
+const crypto = require("crypto");
+const {
+  HttpError,
+  readFilter,
+  readJsonBody,
+  sendJson,
+  sendEvent,
+} = require("./http-utils");
+const { RAGError } = require("./errors");
+const { handleChatCompletions, handleModels } = require("./openai-compat");
+
+// Conversations kept in memory; the least recently used one is dropped first
+const MAX_SESSIONS = 1000;
+
+// HTTP front end for a RAGChatbot. Mirrors the REPL: POST /chat streams an
+// answer over Server-Sent Events, POST /rebuild and POST /sync maintain the
+// knowledge base and GET /status reports on it. The /v1 routes make the bot
+// usable from any OpenAI SDK client (see lib/openai-compat.js).
+//
+// Every request gets the standard role, whatever role the process was started
+// with; only a request whose "Authorization: Bearer" token matches
+// RAG_ELEVATED_TOKEN sees unmasked PII.
+class ChatServer {
+  constructor(
+    chatbot,
+    { maxSessions = MAX_SESSIONS, elevatedToken = process.env.RAG_ELEVATED_TOKEN } = {}
+  ) {
+    this.chatbot = chatbot;
+    // role + session id -> history, in order of last use
+    this.sessions = new Map();
+    this.maxSessions = maxSessions;
+    this.elevatedToken = elevatedToken ? Buffer.from(elevatedToken) : null;
+    this.maintenance = null;
+    this.server = http.createServer((req, res) => this.handle(req, res));
+  }
+
+  // A standard request can't pick up an elevated conversation by its id
+  getSessionHistory(sessionId, role) {
+    const key = `${role}:${sessionId}`;
+    const history = this.sessions.get(key) || [];
+    this.sessions.delete(key);
+    this.sessions.set(key, history);
+    if (this.sessions.size > this.maxSessions) {
+      this.sessions.delete(this.sessions.keys().next().value);
+    }
+    return history;
+  }
+
+  requestRole(req) {
+    const [scheme, token] = (req.headers.authorization || "").split(" ");
+    if (!this.elevatedToken || scheme !== "Bearer" || !token) {
+      return "standard";
+    }
+    const given = Buffer.from(token);
+    return given.length === this.elevatedToken.length &&
+      crypto.timingSafeEqual(given, this.elevatedToken)
+      ? "elevated"
+      : "standard";
+  }
+
+  async handle(req, res) {
+    const { pathname } = new URL(req.url, "http://localhost");
+    const route = `${req.method} ${pathname}`;
+
+    try {
+      switch (route) {
+        case "POST /chat":
+          return await this.handleChat(req, res);
+        case "POST /rebuild":
+          return await this.handleMaintenance(res, "rebuild", () =>
+            this.chatbot.exclusive(() => this.chatbot.rebuildKnowledgeBase())
+          );
+        case "POST /sync":
+          return await this.handleMaintenance(res, "sync", () =>
+            this.chatbot.exclusive(() => this.chatbot.syncKnowledgeBase())
+          );
+        case "POST /v1/chat/completions":
+          if (this.maintenance) {
+            throw new HttpError(503, `Knowledge base ${this.maintenance} in progress`);
+          }
+          return await handleChatCompletions(this.chatbot, req, res, {
+            role: this.requestRole(req),
+          });
+        case "GET /v1/models":
+          return handleModels(res);
+        case "GET /status":
+          return sendJson(res, 200, {
+            ...(await this.chatbot.getStatusInfo()),
+            sessions: this.sessions.size,
+            maintenance: this.maintenance,
+          });
+        default:
+          throw new HttpError(404, `No route for ${route}`);
+      }
+    } catch (error) {
+      // Typed pipeline errors (lib/errors.js) carry their own status and code
+      const statusCode = error.statusCode || 500;
+      const code = error instanceof RAGError ? error.code : undefined;
+      if (statusCode >= 500) {
+        console.error(`❌ ${route} failed:`, error.message);
+      }
+
+      if (res.headersSent) {
+        sendEvent(res, "error", {
+          error: error.message,
+          code: code || "server_error",
+        });
+        res.end();
+      } else if (pathname.startsWith("/v1/")) {
+        // OpenAI clients expect their own error envelope
+        sendJson(res, statusCode, {
+          error: {
+            message: error.message,
+            type:
+              code ||
+              (statusCode < 500 ? "invalid_request_error" : "server_error"),
+          },
+        });
+      } else {
+        sendJson(res, statusCode, { error: error.message, code });
+      }
+    }
+  }
+
+  async handleChat(req, res) {
+    const body = await readJsonBody(req);
+    const message = typeof body.message === "string" ? body.message.trim() : "";
+    if (message === "") {
+      throw new HttpError(400, '"message" is required');
+    }
+    if (this.maintenance) {
+      throw new HttpError(503, `Knowledge base ${this.maintenance} in progress`);
+    }
+
+    const filter = readFilter(body);
+    const sessionId = body.session_id || crypto.randomUUID();
+    const role = this.requestRole(req);
+
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+    });
+    sendEvent(res, "start", { session_id: sessionId });
+
+    const { answer, query, sources, citations, tokens, trace } = await this.chatbot.chat(
+      message,
+      {
+        history: this.getSessionHistory(sessionId, role),
+        filter,
+        role,
+        onToken: (content) => sendEvent(res, "token", { content }),
+        // Agent mode only: one event per tool call as it completes
+        onStep: (entry) => sendEvent(res, "step", entry),
+      }
+    );
+
+    sendEvent(res, "done", {
+      session_id: sessionId,
+      answer,
+      // The standalone query retrieval actually ran on
+      query,
+      sources,
+      citations,
+      // Prompt token counts per part: { total, context, history }
+      tokens,
+      // Agent mode only: every tool call with its arguments and result
+      ...(trace ? { trace } : {}),
+    });
+    res.end();
+  }
+
+  async handleMaintenance(res, name, task) {
+    if (this.maintenance) {
+      throw new HttpError(409, `Knowledge base ${this.maintenance} already in progress`);
+    }
+
+    this.maintenance = name;
+    try {
+      await task();
+    } finally {
+      this.maintenance = null;
+    }
+
+    sendJson(res, 200, {
+      status: "ok",
+      action: name,
+      documents: this.chatbot.documentCount,
+    });
+  }
+
+  listen(port) {
+    return new Promise((resolve) => {
+      this.server.listen(port, () => {
+        console.log(`🌐 ${this.chatbot.title} listening on port ${port}`);
+        console.log("  - POST /chat     { message, session_id } -> SSE stream");
+        console.log("  - POST /rebuild  Rebuild the knowledge base");
+        console.log("  - POST /sync     Re-embed new or changed files");
+        console.log("  - GET  /status   Show current status");
+        console.log("  - POST /v1/chat/completions, GET /v1/models (OpenAI-compatible)");
+        resolve(this.server);
+      });
+    });
+  }
+
+  close() {
+    return new Promise((resolve) => this.server.close(resolve));
+  }
+}
+
+module.exports = { ChatServer, MAX_SESSIONS };
@@ -0,0 +1,111 @@
+const fs = require("fs");
+const path = require("path");
+
+const SESSIONS_DIR = ".rag-sessions";
+const SESSION_VERSION = 1;
+const SESSION_NAME = /^[\w.-]{1,64}$/;
+
+// A REPL conversation that can be saved and resumed. Unlike chatHistory,
+// which is trimmed for the prompt, `turns` keeps every exchange along with
+// the sources it was answered from, so past answers can be audited.
+class ChatSession {
+  constructor({ name = null, createdAt = new Date().toISOString(), turns = [] } = {}) {
+    this.name = name;
+    this.createdAt = createdAt;
+    this.turns = turns;
+  }
+
+  addTurn(turn) {
+    this.turns.push(turn);
+  }
+
+  // The last `maxMessages` messages, in the shape chat() keeps history in
+  history(maxMessages) {
+    if (maxMessages <= 0) {
+      return [];
+    }
+    return this.turns
+      .flatMap((turn) => [
+        { role: "user", content: turn.question },
+        { role: "assistant", content: turn.answer },
+      ])
+      .slice(-maxMessages);
+  }
+
+  toJSON() {
+    return {
+      version: SESSION_VERSION,
+      name: this.name,
+      createdAt: this.createdAt,
+      updatedAt: new Date().toISOString(),
+      turns: this.turns,
+    };
+  }
+}
+
+// One JSON file per session in .rag-sessions/, written atomically
+class SessionStore {
+  constructor(directory = SESSIONS_DIR) {
+    this.directory = directory;
+  }
+
+  static validateName(name) {
+    if (!SESSION_NAME.test(name || "")) {
+      throw new Error(
+        `Invalid session name "${name}". Use up to 64 letters, digits, ".", "_" or "-".`
+      );
+    }
+    return name;
+  }
+
+  filePath(name) {
+    return path.join(this.directory, `${SessionStore.validateName(name)}.json`);
+  }
+
+  exists(name) {
+    return fs.existsSync(this.filePath(name));
+  }
+
+  load(name) {
+    const filePath = this.filePath(name);
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`No saved session named "${name}"`);
+    }
+
+    const data = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    if (data.version !== SESSION_VERSION) {
+      throw new Error(`Session "${name}" was saved in an unsupported format`);
+    }
+    return new ChatSession({ ...data, name });
+  }
+
+  save(session) {
+    const filePath = this.filePath(session.name);
+    fs.mkdirSync(this.directory, { recursive: true });
+    fs.writeFileSync(`${filePath}.tmp`, JSON.stringify(session, null, 2));
+    fs.renameSync(`${filePath}.tmp`, filePath);
+  }
+
+  list() {
+    if (!fs.existsSync(this.directory)) {
+      return [];
+    }
+
+    return fs
+      .readdirSync(this.directory)
+      .filter((file) => file.endsWith(".json"))
+      .map((file) => {
+        const data = JSON.parse(
+          fs.readFileSync(path.join(this.directory, file), "utf8")
+        );
+        return {
+          name: path.basename(file, ".json"),
+          turns: (data.turns || []).length,
+          updatedAt: data.updatedAt,
+        };
+      })
+      .sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)));
+  }
+}
+
+module.exports = { ChatSession, SessionStore, SESSIONS_DIR };
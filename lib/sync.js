@@ -0,0 +1,166 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const MANIFEST_DIR = ".rag-sync";
+const MANIFEST_VERSION = 1;
+
+function hashContent(text) {
+  return crypto.createHash("sha256").update(text).digest("hex");
+}
+
+// Chunk IDs depend only on where a chunk came from and what it says, so
+// editing one file never renumbers the chunks of any other file.
+function chunkId(source, text) {
+  return hashContent(`${source}\n${text}`).slice(0, 32);
+}
+
+// Stamps content hashes and stable IDs onto freshly split chunks. A file can
+// legitimately repeat a chunk word for word, so repeats get a suffix.
+function assignChunkIds(chunks) {
+  const seen = new Map();
+
+  for (const chunk of chunks) {
+    const baseId = chunkId(chunk.metadata.source, chunk.pageContent);
+    const occurrence = seen.get(baseId) || 0;
+    seen.set(baseId, occurrence + 1);
+
+    chunk.metadata.content_hash = hashContent(chunk.pageContent);
+    chunk.metadata.chunk_id =
+      occurrence === 0 ? baseId : `${baseId}-${occurrence}`;
+  }
+
+  return chunks;
+}
+
+// Remembers which chunk IDs each knowledge-base file produced last time, so
+// a sync can work out what to embed and what to delete without asking the
+// vector store to list its contents (not every backend can).
+class SyncManifest {
+  constructor(storeId, embeddingId) {
+    this.embeddingId = embeddingId;
+    this.filePath = storeId
+      ? path.join(MANIFEST_DIR, `${storeId.replace(/[^\w.-]/g, "_")}.json`)
+      : null;
+    this.files = {};
+    this.exists = false;
+  }
+
+  load() {
+    if (!this.filePath || !fs.existsSync(this.filePath)) {
+      return this;
+    }
+
+    const data = JSON.parse(fs.readFileSync(this.filePath, "utf8"));
+    if (data.version !== MANIFEST_VERSION) {
+      return this;
+    }
+
+    // Chunks embedded by another model cannot be reused, whatever the hashes
+    if (this.embeddingId && data.embedding !== this.embeddingId) {
+      console.log(
+        `⚠️ Sync manifest was written for ${data.embedding} embeddings, not ${this.embeddingId}; ignoring it`
+      );
+      return this;
+    }
+
+    this.files = data.files;
+    this.exists = true;
+
+    return this;
+  }
+
+  save() {
+    this.exists = true;
+    if (!this.filePath) {
+      return;
+    }
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(
+      this.filePath,
+      JSON.stringify(
+        {
+          version: MANIFEST_VERSION,
+          embedding: this.embeddingId,
+          files: this.files,
+        },
+        null,
+        2
+      )
+    );
+  }
+
+  // Replaces the whole manifest with the chunks now in the store
+  reset(chunks) {
+    this.files = groupChunksBySource(chunks);
+  }
+}
+
+function groupChunksBySource(chunks) {
+  const files = {};
+
+  for (const chunk of chunks) {
+    const source = chunk.metadata.source;
+    if (!files[source]) {
+      files[source] = { hash: chunk.metadata.file_hash, chunks: [] };
+    }
+    files[source].chunks.push(chunk.metadata.chunk_id);
+  }
+
+  return files;
+}
+
+// Compares the current chunks with the manifest and returns what has to
+// change in the vector store to bring it up to date.
+function planSync(manifest, chunks) {
+  const current = groupChunksBySource(chunks);
+  const plan = {
+    added: [],
+    changed: [],
+    removed: [],
+    unchanged: 0,
+    toEmbed: [],
+    toDelete: [],
+  };
+
+  for (const [source, file] of Object.entries(current)) {
+    const previous = manifest.files[source];
+
+    if (previous && previous.hash === file.hash) {
+      plan.unchanged++;
+      continue;
+    }
+
+    const previousIds = new Set(previous ? previous.chunks : []);
+    const currentIds = new Set(file.chunks);
+
+    (previous ? plan.changed : plan.added).push(source);
+    plan.toDelete.push(...[...previousIds].filter((id) => !currentIds.has(id)));
+    plan.toEmbed.push(
+      ...chunks.filter(
+        (chunk) =>
+          chunk.metadata.source === source &&
+          !previousIds.has(chunk.metadata.chunk_id)
+      )
+    );
+  }
+
+  for (const [source, file] of Object.entries(manifest.files)) {
+    if (!current[source]) {
+      plan.removed.push(source);
+      plan.toDelete.push(...file.chunks);
+    }
+  }
+
+  return { plan, files: current };
+}
+
+module.exports = {
+  MANIFEST_DIR,
+  SyncManifest,
+  assignChunkIds,
+  chunkId,
+  hashContent,
+  planSync,
+};
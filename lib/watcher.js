@@ -0,0 +1,131 @@
+const fs = require("fs");
+const path = require("path");
+
+// Saving a file usually fires several events (truncate, write, rename), and
+// copying in a folder of contracts fires one per file; wait for them to settle
+const DEBOUNCE_MS = 500;
+
+// Editor swap and backup files are not documents
+function isIgnored(file) {
+  const name = path.basename(file);
+  return name.startsWith(".") || name.endsWith("~") || /\.(swp|swx|tmp)$/i.test(name);
+}
+
+function isDirectory(directory) {
+  try {
+    return fs.statSync(directory).isDirectory();
+  } catch {
+    return false;
+  }
+}
+
+// Watches the knowledge-base tree and hands the paths that changed (relative
+// to it, files or folders, created, edited or deleted) to onChange in one
+// call per quiet period. Calls never overlap.
+class KnowledgeBaseWatcher {
+  constructor(directory, onChange, { debounceMs = DEBOUNCE_MS } = {}) {
+    this.directory = directory;
+    this.onChange = onChange;
+    this.debounceMs = debounceMs;
+    this.pending = new Set();
+    this.timer = null;
+    this.running = Promise.resolve();
+    // One watcher for the whole tree, or one per folder (relative path ->
+    // watcher) where recursive watching isn't supported (Linux before Node 20)
+    this.watcher = null;
+    this.folders = new Map();
+  }
+
+  start() {
+    try {
+      this.watcher = this.watchFolder(this.directory, "", { recursive: true });
+    } catch (error) {
+      if (error.code !== "ERR_FEATURE_UNAVAILABLE_ON_PLATFORM") {
+        throw error;
+      }
+      this.watchTree("");
+    }
+    return this;
+  }
+
+  watchFolder(directory, relative, options = {}) {
+    const watcher = fs.watch(directory, options, (event, file) => {
+      if (!file || isIgnored(file)) {
+        return;
+      }
+      const changed = path.join(relative, file);
+      if (!options.recursive) {
+        // A deleted folder's own watcher reports it too; the parent's will do
+        if (!isDirectory(directory)) {
+          return;
+        }
+        // A new folder needs watchers of its own, a deleted one none
+        this.unwatchTree(changed);
+        this.watchTree(changed);
+      }
+      this.pending.add(changed);
+      clearTimeout(this.timer);
+      this.timer = setTimeout(() => this.flush(), this.debounceMs);
+    });
+    watcher.on("error", (error) => {
+      // A deleted folder takes its watcher with it
+      if (!fs.existsSync(directory)) {
+        return;
+      }
+      console.error("⚠️ Watching the knowledge base failed:", error.message);
+    });
+    return watcher;
+  }
+
+  // Stops watching `relative` and the folders below it once it is gone
+  unwatchTree(relative) {
+    if (!this.folders.has(relative) || isDirectory(path.join(this.directory, relative))) {
+      return;
+    }
+    for (const [folder, watcher] of this.folders) {
+      if (folder === relative || folder.startsWith(`${relative}${path.sep}`)) {
+        watcher.close();
+        this.folders.delete(folder);
+      }
+    }
+  }
+
+  // Watches `relative` and every folder below it that isn't watched yet
+  watchTree(relative) {
+    const directory = path.join(this.directory, relative);
+    if (this.folders.has(relative) || !isDirectory(directory)) {
+      return;
+    }
+    this.folders.set(relative, this.watchFolder(directory, relative));
+    for (const entry of fs.readdirSync(directory, { withFileTypes: true })) {
+      if (entry.isDirectory() && !isIgnored(entry.name)) {
+        this.watchTree(path.join(relative, entry.name));
+      }
+    }
+  }
+
+  flush() {
+    const changed = [...this.pending];
+    this.pending.clear();
+    this.running = this.running
+      .then(() => this.onChange(changed))
+      .catch((error) => {
+        console.error("⚠️ Updating the index after a change failed:", error.message);
+      });
+    return this.running;
+  }
+
+  close() {
+    clearTimeout(this.timer);
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
+    }
+    for (const watcher of this.folders.values()) {
+      watcher.close();
+    }
+    this.folders.clear();
+  }
+}
+
+module.exports = { DEBOUNCE_MS, KnowledgeBaseWatcher };
@@ -1,13 +1,27 @@
+const crypto = require("crypto");
 const { ChromaClient } = require("chromadb-client");
 const OpenAI = require("openai");
 const dotenv = require("dotenv");
 dotenv.config();
+const { createChatProvider } = require("./lib/providers/chat");
 
 // Initialize clients
 const chromaClient = new ChromaClient({ path: "http://localhost:8000" });
 const openai = new OpenAI({
   apiKey: process.env.OPENAI_API_KEY
 });
+// Completions go through the shared provider layer (LLM_PROVIDER, LLM_MODEL,
+// LLM_BASE_URL); this example has always defaulted to gpt-4
+const llm = createChatProvider({ model: process.env.LLM_MODEL || "gpt-4" });
+
+function documentId(doc) {
+  const source = (doc.metadata && doc.metadata.source) || "";
+  return `doc_${crypto
+    .createHash("sha256")
+    .update(`${source}\n${doc.content}`)
+    .digest("hex")
+    .slice(0, 32)}`;
+}
 
 class RAGSystem {
   constructor(collectionName = "documents") {
@@ -57,22 +71,36 @@ class RAGSystem {
 
       for (let i = 0; i < documents.length; i++) {
         const doc = documents[i];
+        // Derived from the source and the content, so adding the same
+        // document twice is a no-op but the same text from two sources isn't
+        const id = doc.id || documentId(doc);
+        // Chroma rejects a batch that repeats an ID, and the repeat would
+        // only overwrite the first copy anyway
+        if (ids.includes(id)) {
+          continue;
+        }
+
         const embedding = await this.generateEmbedding(doc.content);
         
         embeddings.push(embedding);
-        ids.push(doc.id || `doc_${Date.now()}_${i}`);
+        ids.push(id);
         metadatas.push(doc.metadata || {});
         docs.push(doc.content);
       }
 
-      await this.collection.add({
+      await this.collection.upsert({
         embeddings: embeddings,
         documents: docs,
         metadatas: metadatas,
         ids: ids
       });
 
-      console.log(`Added ${documents.length} documents to collection`);
+      const duplicates = documents.length - ids.length;
+      console.log(
+        `Added ${ids.length} documents to collection${
+          duplicates > 0 ? ` (skipped ${duplicates} duplicates)` : ""
+        }`
+      );
     } catch (error) {
       console.error("Error adding documents:", error);
       throw error;
@@ -119,10 +147,9 @@ ${query}
 
 If the answer cannot be found in the context, please say so.`;
 
-      // Generate response using OpenAI
-      const response = await openai.chat.completions.create({
-        model: "gpt-4", // or "gpt-3.5-turbo"
-        messages: [
+      // Generate response using the configured chat provider
+      const answer = await llm.complete(
+        [
           {
             role: "system",
             content: "You are a helpful assistant that answers questions based on the provided context."
@@ -132,12 +159,11 @@ If the answer cannot be found in the context, please say so.`;
             content: prompt
           }
         ],
-        max_tokens: maxTokens,
-        temperature: 0.7
-      });
+        { maxTokens, temperature: 0.7 }
+      );
 
       return {
-        answer: response.choices[0].message.content,
+        answer,
         sources: searchResults.documents[0],
         distances: searchResults.distances[0]
       };
@@ -0,0 +1,165 @@
+const assert = require("node:assert/strict");
+const { test } = require("node:test");
+
+const { Agent, formatStep } = require("../lib/agent");
+const { ContextBuilder } = require("../lib/context-builder");
+const { ContractsLedger } = require("../lib/contracts");
+const { EmployeeDirectory } = require("../lib/employees");
+const { FakeChatProvider } = require("../lib/providers/chat");
+
+const RELLM = {
+  id: "rellm-0",
+  text: "Rellm is a reinsurance platform.",
+  metadata: { source: "products/Rellm.md", doc_type: "products" },
+};
+
+// Just enough of RAGChatbot for the tools
+function chatbot({ llm = new FakeChatProvider(), role = "standard" } = {}) {
+  const employees = new EmployeeDirectory();
+  employees.records = [
+    {
+      name: "Alex Chen",
+      job_title: "Backend Software Engineer",
+      city: "San Francisco",
+      state: "California",
+      joined: 2020,
+      source: "employees/Alex Chen.md",
+      doc_type: "employees",
+    },
+  ];
+  return {
+    role,
+    employees,
+    contracts: new ContractsLedger(),
+    contextBuilder: new ContextBuilder("fake"),
+    manifest: { files: { "products/Rellm.md": {}, "employees/Alex Chen.md": {} } },
+    knownDocTypes: () => ["employees", "products"],
+    retrieveRelevantDocuments: async () => [RELLM],
+    loadFile: async (source) =>
+      source === "products/Rellm.md"
+        ? [{ pageContent: RELLM.text, metadata: RELLM.metadata }]
+        : [],
+    // The role every tool result was masked for
+    maskedFor: [],
+    mask(text, maskRole) {
+      this.maskedFor.push(maskRole);
+      return text;
+    },
+    maskDocuments(docs, maskRole) {
+      this.maskedFor.push(maskRole);
+      return docs;
+    },
+    completeWithTools: (messages, tools, options) =>
+      llm.completeWithTools(messages, tools, options),
+  };
+}
+
+// A model that makes the given tool calls, one per turn, then answers
+function scripted(calls, answer = "Done [1].") {
+  let turn = 0;
+  return {
+    async completeWithTools(messages, tools, { toolChoice }) {
+      const call = calls[turn++];
+      if (!call || toolChoice === "none") {
+        return { content: answer, toolCalls: [] };
+      }
+      return { content: "", toolCalls: [{ id: `call_${turn}`, ...call }] };
+    },
+  };
+}
+
+test("searches, then answers citing what the search returned", async () => {
+  const steps = [];
+  const run = await new Agent(chatbot()).run("What is Rellm?", {
+    onStep: (entry) => steps.push(entry),
+  });
+  assert.match(run.answer, /Rellm is a reinsurance platform\. \[1\]$/);
+  assert.deepEqual(run.documents, [RELLM]);
+  assert.deepEqual(run.cited, [1]);
+  assert.equal(run.steps, 2);
+  assert.equal(run.budgetReached, false);
+  assert.equal(steps.length, 1);
+  assert.match(
+    formatStep(steps[0]),
+    /^🔧 1\. search_knowledge_base\(query: "What is Rellm\?"\) → 1 passages \(\d+ms\)$/
+  );
+});
+
+test("forces an answer once the step budget is spent", async () => {
+  const search = { name: "search_knowledge_base", arguments: { query: "x" } };
+  const run = await new Agent(chatbot({ llm: scripted([search, search, search]) }), {
+    maxSteps: 2,
+  }).run("What is Rellm?");
+  assert.equal(run.steps, 2);
+  assert.equal(run.budgetReached, true);
+  assert.equal(run.trace.length, 1);
+  assert.throws(() => new Agent(chatbot(), { maxSteps: 0 }), /positive integer/);
+});
+
+test("reports failing and unknown tools back to the model", async () => {
+  const run = await new Agent(
+    chatbot({
+      llm: scripted([
+        { name: "read_document", arguments: {} },
+        { name: "delete_everything", arguments: {} },
+        { name: "read_document", arguments: { source: "../../etc/passwd" } },
+      ]),
+    })
+  ).run("Read it");
+  assert.deepEqual(
+    run.trace.map((entry) => entry.result),
+    [
+      'Error: "source" is required',
+      'Error: There is no tool named "delete_everything"',
+      'No document "../../etc/passwd" in the knowledge base.',
+    ]
+  );
+  // Nothing was returned to cite
+  assert.equal(run.answer, "Done.");
+});
+
+test("keeps tools inside the conversation's scope", async () => {
+  const run = await new Agent(
+    chatbot({
+      llm: scripted([
+        { name: "read_document", arguments: { source: "products/Rellm.md" } },
+        { name: "search_knowledge_base", arguments: { query: "x", doc_type: "products" } },
+        { name: "list_documents", arguments: {} },
+      ]),
+    })
+  ).run("What is Rellm?", { filter: { doc_type: "employees" } });
+  assert.deepEqual(
+    run.trace.map((entry) => entry.result),
+    [
+      "The conversation is limited to employees.",
+      "The conversation is limited to employees.",
+      "employees/Alex Chen.md",
+    ]
+  );
+});
+
+test("lists employees without salary, rating or date of birth, for any role", async () => {
+  const lookup = { name: "lookup_employees", arguments: { location: "San Francisco" } };
+  for (const role of ["standard", "elevated"]) {
+    const run = await new Agent(chatbot({ llm: scripted([lookup]), role })).run("Who?");
+    assert.equal(
+      run.trace[0].result,
+      "1 employees match:\n- Alex Chen: Backend Software Engineer, San Francisco, California; joined 2020 [1]"
+    );
+  }
+});
+
+test("masks tool results for the caller's role over the chatbot's", async () => {
+  const calls = [
+    { name: "search_knowledge_base", arguments: { query: "Rellm" } },
+    { name: "read_document", arguments: { source: "products/Rellm.md" } },
+  ];
+  const bot = chatbot({ llm: scripted(calls), role: "elevated" });
+  await new Agent(bot).run("What is Rellm?", { role: "standard" });
+  assert.ok(bot.maskedFor.length >= 4);
+  assert.ok(bot.maskedFor.every((role) => role === "standard"));
+
+  const own = chatbot({ llm: scripted(calls), role: "elevated" });
+  await new Agent(own).run("What is Rellm?");
+  assert.ok(own.maskedFor.every((role) => role === "elevated"));
+});
@@ -0,0 +1,108 @@
+const assert = require("node:assert/strict");
+const { test } = require("node:test");
+
+const { BM25Index, reciprocalRankFusion, tokenize } = require("../lib/bm25");
+
+function chunk(id, source, text, docType = "contracts") {
+  return { pageContent: text, metadata: { chunk_id: id, source, doc_type: docType } };
+}
+
+const CHUNKS = [
+  chunk("a", "contracts/apex.md", "Apex Reinsurance pays $10,000 per month for Rellm."),
+  chunk("b", "contracts/greenstone.md", "Greenstone Insurance signed up for Homellm."),
+  chunk("c", "products/rellm.md", "Rellm is a reinsurance platform.", "products"),
+];
+
+test("tokenize lowercases, drops stopwords and possessives", () => {
+  assert.deepEqual(tokenize("What is Apex's monthly fee for Rellm?"), [
+    "apex",
+    "monthly",
+    "fee",
+    "rellm",
+  ]);
+  assert.deepEqual(tokenize("$10,000 v2.1"), ["10", "000", "v2.1"]);
+});
+
+test("ranks the chunk with the rarest matching terms first", () => {
+  const index = new BM25Index().build(CHUNKS);
+  const results = index.search("Apex Rellm", 3);
+  assert.equal(results[0].id, "a");
+  assert.deepEqual(
+    results.map((result) => result.id),
+    ["a", "c"]
+  );
+  assert.ok(results[0].score > results[1].score);
+});
+
+test("applies metadata filters and the limit", () => {
+  const index = new BM25Index().build(CHUNKS);
+  const filtered = index.search("Rellm", 4, { doc_type: ["products"] });
+  assert.deepEqual(
+    filtered.map((result) => result.id),
+    ["c"]
+  );
+  assert.equal(index.search("Rellm", 1).length, 1);
+  assert.deepEqual(index.search("nothing matches this"), []);
+});
+
+test("replaceSources swaps the chunks of several files in one rebuild", () => {
+  const index = new BM25Index().build(CHUNKS);
+  index.replaceSources(
+    ["contracts/apex.md", "contracts/greenstone.md", "contracts/new.md"],
+    [
+      chunk("d", "contracts/apex.md", "Apex Reinsurance now uses Carllm."),
+      chunk("e", "contracts/new.md", "Northwind signed up for Carllm."),
+    ]
+  );
+  assert.equal(index.size, 3);
+  assert.deepEqual(
+    index.search("Carllm").map((result) => result.id).sort(),
+    ["d", "e"]
+  );
+  assert.deepEqual(index.search("Greenstone"), []);
+  index.replaceSources(["contracts/apex.md"], []);
+  assert.equal(index.size, 2);
+});
+
+test("reciprocal rank fusion rewards results both lists agree on", () => {
+  const fused = reciprocalRankFusion([
+    { name: "vector", results: [{ id: "x", score: 0.9 }, { id: "y", score: 0.8 }] },
+    { name: "bm25", results: [{ id: "y", score: 7 }, { id: "z", score: 5 }] },
+  ]);
+  assert.deepEqual(
+    fused.map((result) => result.id),
+    ["y", "x", "z"]
+  );
+  assert.deepEqual(fused[0].scores, { vector: 0.8, bm25: 7 });
+});
+
+test("reciprocal rank fusion honours list weights", () => {
+  const fused = reciprocalRankFusion([
+    { name: "vector", results: [{ id: "x" }], weight: 1 },
+    { name: "bm25", results: [{ id: "z" }], weight: 2 },
+  ]);
+  assert.equal(fused[0].id, "z");
+  assert.equal(fused[0].score, 2 / 61);
+});
+
+test("on start-up the keyword index only holds chunks the vector store has", (t) => {
+  t.mock.method(console, "log", () => {});
+  const { RAGChatbot } = require("../lib/chatbot");
+  const chatbot = {
+    keywordIndex: new BM25Index(),
+    manifest: {
+      exists: true,
+      files: {
+        "contracts/apex.md": { chunks: ["a"] },
+        "contracts/greenstone.md": { chunks: ["old"] },
+      },
+    },
+    documentCount: 2,
+  };
+  RAGChatbot.prototype.loadKeywordIndex.call(chatbot, CHUNKS);
+
+  // Greenstone was edited since the last sync and products/ never synced
+  assert.equal(chatbot.keywordIndex.size, 1);
+  assert.deepEqual(chatbot.keywordIndex.search("Rellm").map((result) => result.id), ["a"]);
+  assert.match(console.log.mock.calls.at(-1).arguments[0], /has 1 chunks but the vector store has 2/);
+});
@@ -0,0 +1,102 @@
+const assert = require("node:assert/strict");
+const { test } = require("node:test");
+
+const {
+  FakeChatProvider,
+  OpenAIChatProvider,
+  createChatProvider,
+} = require("../lib/providers/chat");
+
+const SYSTEM = {
+  role: "system",
+  content:
+    "Answer from the documents.\n\n" +
+    "Document 1 (products) - Source: products/Rellm.md:\nRellm is a reinsurance platform.\nMore.",
+};
+
+test("the fake provider answers from the first document and cites it", async () => {
+  const provider = new FakeChatProvider();
+  const answer = await provider.complete([SYSTEM, { role: "user", content: "What is Rellm?" }]);
+  assert.equal(
+    answer,
+    'You asked: "What is Rellm?". The most relevant document says: Rellm is a reinsurance platform. [1]'
+  );
+  assert.match(
+    await provider.complete([{ role: "user", content: "Who?" }]),
+    /could not find this in the provided documents/
+  );
+});
+
+test("the fake provider streams its answer word by word", async () => {
+  const provider = new FakeChatProvider();
+  const tokens = [];
+  for await (const token of provider.streamCompletion([{ role: "user", content: "Hi there" }])) {
+    tokens.push(token);
+  }
+  assert.ok(tokens.length > 1);
+  assert.equal(tokens[0], "You ");
+  assert.equal(tokens.join(""), provider.respond([{ role: "user", content: "Hi there" }]));
+});
+
+test("the fake provider condenses a follow-up with names from the last user turn", async () => {
+  const prompt =
+    "Conversation:\nUser: When did Alex Chen join Insurellm?\nAssistant: In 2020.\n\n" +
+    "Follow-up message: What is her job title?\n\nStandalone query:";
+  assert.equal(
+    await new FakeChatProvider().complete([{ role: "user", content: prompt }]),
+    "What is her job title? Alex Chen Insurellm"
+  );
+});
+
+test("the fake provider searches once in agent mode, then answers from the result", async () => {
+  const provider = new FakeChatProvider();
+  const tools = [{ name: "search_knowledge_base", description: "", parameters: {} }];
+  const messages = [{ role: "user", content: "What is Rellm?" }];
+
+  const first = await provider.completeWithTools(messages, tools);
+  assert.deepEqual(first.toolCalls, [
+    { id: "call_1", name: "search_knowledge_base", arguments: { query: "What is Rellm?" } },
+  ]);
+
+  messages.push(
+    { role: "assistant", content: "" },
+    { role: "tool", content: "[2] products/Rellm.md\nRellm is a reinsurance platform." }
+  );
+  const second = await provider.completeWithTools(messages, tools);
+  assert.deepEqual(second.toolCalls, []);
+  assert.match(second.content, /says: Rellm is a reinsurance platform\. \[2\]$/);
+
+  const forced = await provider.completeWithTools(messages.slice(0, 1), tools, {
+    toolChoice: "none",
+  });
+  assert.match(forced.content, /could not find this in the knowledge base/);
+});
+
+test("createChatProvider picks the provider by name", () => {
+  assert.ok(createChatProvider({ provider: "fake" }) instanceof FakeChatProvider);
+  assert.ok(createChatProvider({ provider: "echo" }) instanceof FakeChatProvider);
+  assert.equal(createChatProvider({ provider: "fake" }).describe(), "fake (fake)");
+  assert.throws(
+    () => createChatProvider({ provider: "nope" }),
+    /Unknown LLM provider "nope". Available providers: openai, fake, echo/
+  );
+});
+
+test("an OpenAI-compatible server needs no API key", () => {
+  const key = process.env.OPENAI_API_KEY;
+  delete process.env.OPENAI_API_KEY;
+  try {
+    const provider = createChatProvider({
+      provider: "openai",
+      model: "llama3",
+      baseURL: "http://localhost:11434/v1",
+    });
+    assert.ok(provider instanceof OpenAIChatProvider);
+    assert.equal(provider.describe(), "llama3 (openai-compatible at http://localhost:11434/v1)");
+    assert.throws(() => new OpenAIChatProvider(), /OPENAI_API_KEY environment variable is required/);
+  } finally {
+    if (key !== undefined) {
+      process.env.OPENAI_API_KEY = key;
+    }
+  }
+});
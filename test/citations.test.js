@@ -0,0 +1,58 @@
+const assert = require("node:assert/strict");
+const { test } = require("node:test");
+
+const {
+  CitationFilter,
+  chunkSection,
+  stripInvalidCitations,
+} = require("../lib/citations");
+
+// Feeds `text` through a filter in pieces of `size` characters, the way a
+// model streams it
+function streamed(text, documentCount, size) {
+  const filter = new CitationFilter(documentCount);
+  let output = "";
+  for (let i = 0; i < text.length; i += size) {
+    output += filter.push(text.slice(i, i + size));
+  }
+  return { text: output + filter.flush(), cited: [...filter.cited].sort() };
+}
+
+test("keeps citations to retrieved documents and records them", () => {
+  const { text, cited } = stripInvalidCitations("Apex pays $10,000 [1]. It renews [2, 3].", 3);
+  assert.equal(text, "Apex pays $10,000 [1]. It renews [2, 3].");
+  assert.deepEqual(cited, [1, 2, 3]);
+});
+
+test("drops citations to documents that were never sent, with their space", () => {
+  const { text, cited } = stripInvalidCitations(
+    "Apex pays $10,000 [7]. It renews [2, 9].",
+    2
+  );
+  assert.equal(text, "Apex pays $10,000. It renews [2].");
+  assert.deepEqual(cited, [2]);
+});
+
+test("leaves brackets that aren't citations alone", () => {
+  const input = "Use items[0] and [see below] or [1a].";
+  assert.equal(stripInvalidCitations(input, 1).text, input);
+});
+
+test("gives the same result however the answer is split into tokens", () => {
+  const input = "Claim one [1]. Claim two [4] and [2,  3]; items[0] stay.";
+  const whole = stripInvalidCitations(input, 3);
+  for (const size of [1, 2, 3, 5]) {
+    assert.deepEqual(streamed(input, 3, size), whole);
+  }
+});
+
+test("names a chunk's section from its heading path, page, row or heading", () => {
+  assert.equal(
+    chunkSection({ metadata: { heading_path: "Carllm > Pricing" } }),
+    "Carllm > Pricing"
+  );
+  assert.equal(chunkSection({ metadata: { page: 3 } }), "page 3");
+  assert.equal(chunkSection({ metadata: { row: 12 } }), "row 12");
+  assert.equal(chunkSection({ text: "intro\n## Support\nmore", metadata: {} }), "Support");
+  assert.equal(chunkSection({ text: "no heading", metadata: {} }), null);
+});
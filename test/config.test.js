@@ -0,0 +1,102 @@
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { test } = require("node:test");
+
+const { ConfigError, formatConfig, loadConfig, toChatbotOptions } = require("../lib/config");
+
+function configFile(t, name, content) {
+  const folder = fs.mkdtempSync(path.join(os.tmpdir(), "rag-config-"));
+  t.after(() => fs.rmSync(folder, { recursive: true, force: true }));
+  const file = path.join(folder, name);
+  fs.writeFileSync(file, content);
+  return file;
+}
+
+test("layers defaults, the config file, env vars and flags", (t) => {
+  const file = configFile(
+    t,
+    "rag.config.yaml",
+    "llm:\n  model: gpt-4o\n  temperature: 0.2\nretrieval:\n  k: 6\n"
+  );
+  const { values, sources } = loadConfig({
+    file,
+    env: { RAG_TOP_K: "8", LLM_MODEL: "" },
+    flags: { k: "10", "no-rewrite": true },
+  });
+  assert.equal(values["llm.model"], "gpt-4o");
+  assert.equal(sources["llm.model"], "rag.config.yaml");
+  assert.equal(values["llm.temperature"], 0.2);
+  assert.equal(values["retrieval.k"], 10);
+  assert.equal(sources["retrieval.k"], "--k");
+  assert.equal(values["retrieval.rewrite"], false);
+  assert.equal(values["chunking.size"], 1000);
+  assert.equal(sources["chunking.size"], "default");
+});
+
+test("a wrapper bot's backend outranks the file and RAG_BACKEND, but not --backend", (t) => {
+  const file = configFile(t, "rag.config.json", JSON.stringify({ backend: "memory" }));
+  const defaults = { backend: "chroma", "llm.model": "gpt-4o" };
+
+  const fromBot = loadConfig({ file, defaults, env: { RAG_BACKEND: "lancedb" } });
+  assert.equal(fromBot.values.backend, "chroma");
+  assert.equal(fromBot.sources.backend, "bot default");
+
+  const fromFlag = loadConfig({ file, defaults, flags: { backend: "local" }, env: {} });
+  assert.equal(fromFlag.values.backend, "local");
+
+  // The bot's other defaults are ordinary defaults
+  const model = loadConfig({ defaults, env: { LLM_MODEL: "gpt-4o-mini" } });
+  assert.equal(model.values["llm.model"], "gpt-4o-mini");
+});
+
+test("names the setting and where a bad value came from", (t) => {
+  assert.throws(
+    () => loadConfig({ env: { RAG_TOP_K: "many" } }),
+    (error) =>
+      error instanceof ConfigError &&
+      error.message === 'Invalid retrieval.k from env RAG_TOP_K: "many" (expected an integer)'
+  );
+  assert.throws(
+    () => loadConfig({ env: {}, flags: { backend: "redis" } }),
+    /Invalid backend from --backend: "redis" \(expected one of /
+  );
+  assert.throws(() => loadConfig({ env: { RAG_DEBUG: "yes" } }), /expected true or false/);
+  const badPattern = configFile(t, "a.json", '{"pii":{"patterns":{"contact":"("}}}');
+  assert.throws(
+    () => loadConfig({ env: {}, file: badPattern }),
+    /expected a valid regular expression/
+  );
+  assert.throws(
+    () => loadConfig({ env: {}, file: configFile(t, "b.json", '{"llm":{"colour":"red"}}') }),
+    /Unknown setting "llm.colour" in b.json/
+  );
+  assert.throws(
+    () => loadConfig({ env: {}, file: configFile(t, "c.json", "[1]") }),
+    /must contain an object of settings/
+  );
+  assert.throws(
+    () => loadConfig({ env: {}, flags: { "chunk-size": "200", "chunk-overlap": "200" } }),
+    /chunking.overlap \(200\) must be smaller than chunking.size \(200\)/
+  );
+  assert.throws(() => loadConfig({ env: {}, file: "missing.json" }), /Config file not found/);
+});
+
+test("maps settings onto the chatbot's options", () => {
+  const config = loadConfig({
+    env: { CHROMA_HOST: "chroma.internal" },
+    flags: { backend: "chroma", role: "elevated" },
+  });
+  const options = toChatbotOptions(config);
+  assert.equal(options.backend, "chroma");
+  assert.deepEqual(options.backend_options, {
+    host: "chroma.internal",
+    port: 8000,
+    ssl: false,
+    collectionName: "rag-documents",
+  });
+  assert.equal(options.role, "elevated");
+  assert.equal(options.k, 4);
+  assert.match(formatConfig(config), /\n {2}backend +"chroma" {2}\(--backend\)\n/);
+});
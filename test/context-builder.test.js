@@ -0,0 +1,75 @@
+const assert = require("node:assert/strict");
+const { test } = require("node:test");
+
+const { ContextBuilder, TokenCounter } = require("../lib/context-builder");
+
+const counter = new TokenCounter("gpt-4o-mini");
+
+function doc(source, text, score, metadata = {}) {
+  return { text, score, metadata: { source, doc_type: "products", ...metadata } };
+}
+
+test("counts unknown models with the GPT-4o encoding", () => {
+  assert.equal(new TokenCounter("fake").count("hello world"), counter.count("hello world"));
+});
+
+test("numbers chunks best score first and labels their section", () => {
+  const builder = new ContextBuilder("gpt-4o-mini");
+  const { docs, text, usage } = builder.buildContext([
+    doc("b.md", "Second.", 0.2, { page: 4 }),
+    doc("a.md", "First.", 0.9, { heading_path: "Rellm > Pricing" }),
+  ]);
+  assert.deepEqual(
+    docs.map((d) => d.metadata.source),
+    ["a.md", "b.md"]
+  );
+  assert.equal(
+    text,
+    "Document 1 (products) - Source: a.md - Section: Rellm > Pricing:\nFirst.\n\n" +
+      "Document 2 (products) - Source: b.md - Page: 4:\nSecond."
+  );
+  // Two tokens are allowed for the blank line between documents
+  const blocks = text.split("\n\n");
+  assert.equal(usage.tokens, counter.count(blocks[0]) + counter.count(blocks[1]) + 2);
+  assert.deepEqual(
+    { chunks: usage.chunks, truncated: usage.truncated, dropped: usage.dropped },
+    { chunks: 2, truncated: 0, dropped: 0 }
+  );
+});
+
+test("truncates the chunk that overflows and drops the rest", () => {
+  const long = "word ".repeat(400);
+  const builder = new ContextBuilder("gpt-4o-mini", { contextTokens: 300 });
+  const { docs, usage } = builder.buildContext([
+    doc("a.md", long, 3),
+    doc("b.md", long, 2),
+    doc("c.md", long, 1),
+  ]);
+  assert.equal(docs.length, 1);
+  assert.equal(docs[0].truncated, true);
+  assert.ok(usage.tokens <= 300);
+  assert.deepEqual(
+    { truncated: usage.truncated, dropped: usage.dropped },
+    { truncated: 1, dropped: 2 }
+  );
+});
+
+test("keeps the newest history that fits and never starts with a reply", () => {
+  const history = [
+    { role: "user", content: "one ".repeat(30) },
+    { role: "assistant", content: "two ".repeat(30) },
+    { role: "user", content: "three" },
+    { role: "assistant", content: "four" },
+  ];
+  const budget =
+    counter.count("two ".repeat(30)) + counter.count("three") + counter.count("four") + 12;
+  const { messages, usage } = new ContextBuilder("gpt-4o-mini", {
+    historyTokens: budget,
+  }).buildHistory(history);
+  assert.deepEqual(
+    messages.map((message) => message.content),
+    ["three", "four"]
+  );
+  assert.equal(usage.dropped, 2);
+  assert.equal(usage.tokens, counter.count("three") + counter.count("four") + 8);
+});
@@ -0,0 +1,132 @@
+const assert = require("node:assert/strict");
+const { test } = require("node:test");
+
+const { ContractsLedger } = require("../lib/contracts");
+
+const CONTRACT = `# Contract with Apex Reinsurance for Rellm: AI-Powered Enterprise Reinsurance Solution
+
+## Terms
+
+3. **Payment Terms**: Client shall pay the Provider the sum of $10,000 per month for the duration of this agreement.
+
+4. **Contract Duration**: This Agreement shall remain in effect for a period of twelve (12) months unless terminated earlier.
+
+## Renewal
+
+1. **Automatic Renewal**: This Agreement will automatically renew for successive one-year terms unless either party provides a written notice of intent to terminate at least thirty (30) days prior to the expiration of the current term.
+
+2. **Renewal Pricing**: The Provider will give a minimum of sixty (60) days' notice of any changes in pricing.
+
+## Support
+
+2. **Training and Onboarding**: Provider will deliver onboarding training for up to ten (10) members of the Client's staff.
+`;
+
+function doc(text, source = "contracts/Contract with Apex Reinsurance for Rellm.md") {
+  return { pageContent: text, metadata: { source, doc_type: "contracts" } };
+}
+
+function contract(client, product, monthlyFee, termMonths, autoRenewal) {
+  return {
+    client,
+    product,
+    monthly_fee: monthlyFee,
+    term_months: termMonths,
+    auto_renewal: autoRenewal,
+    notice_days: 30,
+    training_seats: null,
+    source: `contracts/Contract with ${client} for ${product}.md`,
+  };
+}
+
+const LEDGER = new ContractsLedger();
+LEDGER.records = [
+  contract("Apex Reinsurance", "Rellm", 10000, 12, true),
+  contract("Greenstone Insurance", "Homellm", 5000, 24, true),
+  contract("Roadway Insurance", "Homellm", null, 12, false),
+  contract("TechDrive Insurance", "Carllm", 2500, 12, true),
+];
+
+test("parses the client, product and terms", () => {
+  assert.deepEqual(new ContractsLedger().parse(doc(CONTRACT)), {
+    client: "Apex Reinsurance",
+    product: "Rellm",
+    monthly_fee: 10000,
+    term_months: 12,
+    auto_renewal: true,
+    // Not the 60 days' notice of a price change
+    notice_days: 30,
+    training_seats: 10,
+  });
+});
+
+test("ignores documents that aren't contracts", () => {
+  assert.equal(new ContractsLedger().parse(doc("# Rellm\n\nPricing.")), null);
+});
+
+test("totals, averages and ranks fees, skipping contracts without one", () => {
+  const total = LEDGER.query("What is the total monthly revenue from Homellm contracts?");
+  assert.equal(total.operation, "total");
+  assert.equal(total.value, 5000);
+  assert.deepEqual(
+    total.missing.map((record) => record.client),
+    ["Roadway Insurance"]
+  );
+  assert.equal(total.complete, true);
+
+  assert.equal(LEDGER.query("What's the average monthly fee?").value, 17500 / 3);
+  const annual = LEDGER.query("Which contract has the highest annual fee?");
+  assert.equal(annual.value, 120000);
+  assert.deepEqual(
+    annual.records.map((record) => record.client),
+    ["Apex Reinsurance"]
+  );
+});
+
+test("counts and lists contracts by product, term and renewal", () => {
+  const count = LEDGER.query("How many contracts have a 12-month term?");
+  assert.equal(count.operation, "count");
+  assert.equal(count.records.length, 3);
+
+  const manual = LEDGER.query("Which contracts do not renew automatically?");
+  assert.deepEqual(
+    manual.records.map((record) => record.client),
+    ["Roadway Insurance"]
+  );
+  assert.equal(manual.description, "without automatic renewal");
+});
+
+test("leaves pricing, product and single-client questions to search", () => {
+  assert.equal(LEDGER.query("What are the fees for the Homellm tiers?"), null);
+  assert.equal(LEDGER.query("Show me the renewal terms in the Markellm product sheet"), null);
+  assert.equal(LEDGER.query("What does Apex Reinsurance pay per month?"), null);
+});
+
+test("is not complete when the question asks for more than the ledger", () => {
+  const result = LEDGER.query("Which clients complained about support?");
+  assert.equal(result.operation, "list");
+  assert.equal(result.complete, false);
+});
+
+test("formats an aggregate with its contracts cited", () => {
+  const text = ContractsLedger.format(LEDGER.query("Total fees for Rellm contracts?"));
+  assert.equal(
+    text.split("\n")[1],
+    "- Apex Reinsurance (Rellm): $10,000/month, 12-month term, auto-renews, 30 days' notice [1]"
+  );
+  assert.match(text, /^Total monthly fees for Rellm: \$10,000 across 1 contract:/);
+});
+
+test("says when auto-renewal couldn't be extracted instead of saying no", () => {
+  const unknown = contract("Vertex Insurance", "Rellm", 1000, 12, null);
+  assert.equal(
+    ContractsLedger.line(unknown),
+    "Vertex Insurance (Rellm): $1,000/month, 12-month term, auto-renewal unknown, 30 days' notice"
+  );
+  assert.equal(
+    ContractsLedger.line(contract("Roadway Insurance", "Homellm", null, 12, false)),
+    "Roadway Insurance (Homellm): fee not stated, 12-month term, no auto-renewal, 30 days' notice"
+  );
+  const rows = ContractsLedger.table([unknown]).split("\n");
+  assert.match(rows[1], /12 mo +unknown +30 days +-$/);
+});
@@ -0,0 +1,122 @@
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { test } = require("node:test");
+
+const { EmployeeDirectory } = require("../lib/employees");
+
+const RECORD = `# HR Record
+
+# Jordan Blake
+
+## Summary
+- **Date of Birth**: March 15, 1985
+- **Job Title**: Sales Development Representative (SDR)
+- **Location**: Austin, TX
+
+## Insurellm Career Progression
+- **2019 - 2021**: Account Executive at Edge Analytics
+- **June 2021**: Joined Insurellm as an SDR.
+
+## Annual Performance History
+- **2022**: **Meets Expectations**
+- **2023**: **Exceptional**
+  - **Feedback:** Exceptional communicator.
+
+## Compensation History
+- **2022**: Base Salary: $60,000 + Bonus: $5,000
+- **2023**: Base Salary: $65,000 + Bonus: $8,000
+`;
+
+function doc(text, source = "employees/Jordan Blake.md") {
+  return { pageContent: text, metadata: { source, doc_type: "employees" } };
+}
+
+const DIRECTORY = new EmployeeDirectory();
+DIRECTORY.records = [
+  ["Avery Lancaster", "Co-Founder & Chief Executive Officer (CEO)", "San Francisco", "California", 2015],
+  ["Alex Chen", "Backend Software Engineer", "San Francisco", "California", 2020],
+  ["Maxine Thompson", "Data Engineer", "Austin", "Texas", 2017],
+  ["Alex Harper", "Sales Development Representative (SDR)", "Denver", "Colorado", 2021],
+].map(([name, jobTitle, city, state, joined]) => ({
+  name,
+  job_title: jobTitle,
+  city,
+  state,
+  joined,
+  source: `employees/${name}.md`,
+}));
+
+test("parses the summary and joining year", () => {
+  const record = new EmployeeDirectory().parse(doc(RECORD));
+  assert.deepEqual(record, {
+    name: "Jordan Blake",
+    job_title: "Sales Development Representative (SDR)",
+    location: "Austin, TX",
+    city: "Austin",
+    state: "Texas",
+    // The earlier role was at another company
+    joined: 2021,
+  });
+});
+
+test("never writes dates of birth, salaries or ratings to disk", (t) => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), "employees-"));
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+  const table = new EmployeeDirectory("store");
+  table.filePath = path.join(directory, "store.employees.json");
+
+  table.reset([doc(RECORD)]).save();
+  const saved = fs.readFileSync(table.filePath, "utf8");
+  assert.doesNotMatch(saved, /1985|65,?000|Exceptional|salary|rating|birth/i);
+  const reloaded = new EmployeeDirectory("store");
+  reloaded.filePath = table.filePath;
+  assert.deepEqual(reloaded.load().records, table.records);
+});
+
+test("ignores documents that aren't HR records", () => {
+  assert.equal(new EmployeeDirectory().parse(doc("# Rellm\n\nA product.")), null);
+});
+
+test("lists employees by place, joining year and job title", () => {
+  const byPlace = DIRECTORY.query("Who works in San Francisco?");
+  assert.deepEqual(
+    byPlace.records.map((record) => record.name),
+    ["Avery Lancaster", "Alex Chen"]
+  );
+  assert.equal(byPlace.complete, true);
+
+  const byYear = DIRECTORY.query("Which employees joined after 2016?");
+  assert.equal(byYear.records.length, 3);
+  assert.equal(byYear.description, "joined after 2016");
+
+  const count = DIRECTORY.query("How many engineers are there?");
+  assert.equal(count.count, true);
+  assert.equal(count.records.length, 2);
+});
+
+test("is not complete when the question asks for more than the filters", () => {
+  const result = DIRECTORY.query("Which data engineer led the Innovate initiative?");
+  assert.deepEqual(
+    result.records.map((record) => record.name),
+    ["Maxine Thompson"]
+  );
+  assert.equal(result.complete, false);
+  assert.equal(DIRECTORY.query("Which engineer had the lowest rating?").complete, false);
+});
+
+test("leaves questions about one person or the company to search", () => {
+  assert.equal(DIRECTORY.query("Where is Alex Chen based?"), null);
+  assert.equal(DIRECTORY.query("How many employees does Insurellm have?"), null);
+  assert.equal(DIRECTORY.query("Which contracts started in 2020?"), null);
+});
+
+test("formats matches as a cited list", () => {
+  const text = EmployeeDirectory.format(DIRECTORY.query("Who is in Denver?"));
+  assert.equal(
+    text,
+    "1 employee in the HR records in Denver:\n" +
+      "- Alex Harper: Sales Development Representative (SDR), Denver, Colorado, joined 2021 [1]"
+  );
+});
@@ -0,0 +1,93 @@
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { test } = require("node:test");
+
+const {
+  Evaluator,
+  correctness,
+  faithfulness,
+  formatMarkdown,
+  loadDataset,
+} = require("../lib/eval");
+
+function doc(source, text = "") {
+  return { text, metadata: { source } };
+}
+
+// Answers every question from the same context
+function chatbot(context, answer, topK = 2) {
+  return {
+    topK,
+    async chat() {
+      return { answer, context };
+    },
+    async getStatusInfo() {
+      return { backend: "memory", retrieval: { mode: "hybrid" } };
+    },
+  };
+}
+
+test("correctness accepts alternatives and ignores thousands separators", () => {
+  assert.equal(correctness("It costs $10000 for ten seats.", ["$10,000", ["10", "ten"]]), 1);
+  assert.equal(correctness("It costs $5,000.", ["$10,000", "five"]), 0);
+  assert.equal(correctness("Anything", []), null);
+});
+
+test("faithfulness counts sentences supported by the context", () => {
+  const context = ["Rellm costs $10,000 per month for reinsurance clients."];
+  assert.equal(faithfulness("Rellm costs $10,000 per month [1].", context), 1);
+  assert.equal(faithfulness("Rellm costs $12,000 per month.", context), 0);
+  assert.equal(
+    faithfulness("Rellm costs $10,000 per month. Unicorns dance nightly.", context),
+    0.5
+  );
+});
+
+test("recall and MRR only count the first k distinct sources", async () => {
+  const context = [doc("a.md"), doc("a.md"), doc("b.md"), doc("c.md"), doc("d.md")];
+  const evaluator = new Evaluator(chatbot(context, "Answer."));
+  const result = await evaluator.runCase({
+    id: "x",
+    question: "q",
+    sources: ["b.md", "c.md"],
+    facts: [],
+  });
+  assert.deepEqual(result.retrieved_sources, ["a.md", "b.md"]);
+  assert.equal(result.recall, 0.5);
+  assert.equal(result.reciprocal_rank, 0.5);
+});
+
+test("reports recall@k, MRR and misses", async (t) => {
+  t.mock.method(console, "log", () => {});
+  const evaluator = new Evaluator(
+    chatbot([doc("a.md", "Avery Lancaster is the CEO.")], "Avery Lancaster is the CEO [1].")
+  );
+  const report = await evaluator.run([
+    { id: "ceo", question: "Who is the CEO?", sources: ["a.md"], facts: ["Avery"] },
+    { id: "cfo", question: "Who is the CFO?", sources: ["b.md"], facts: ["Nobody"] },
+  ]);
+  assert.deepEqual(report.metrics, {
+    cases: 2,
+    "recall@2": 0.5,
+    mrr: 0.5,
+    correctness: 0.5,
+    faithfulness: 1,
+  });
+  const markdown = formatMarkdown(report);
+  assert.match(markdown, /\| recall@2 \| 0\.50 \|/);
+  assert.match(markdown, /## Misses\n\n### cfo\n/);
+  assert.doesNotMatch(markdown, /### ceo/);
+});
+
+test("loadDataset checks every case", (t) => {
+  const folder = fs.mkdtempSync(path.join(os.tmpdir(), "rag-eval-"));
+  t.after(() => fs.rmSync(folder, { recursive: true, force: true }));
+  const file = path.join(folder, "golden.json");
+  fs.writeFileSync(file, JSON.stringify([{ id: "a", question: "q", sources: [] }]));
+  assert.throws(() => loadDataset(file), /Eval case a .* needs a question, sources and facts/);
+  fs.writeFileSync(file, "[]");
+  assert.throws(() => loadDataset(file), /non-empty array/);
+  assert.ok(loadDataset("eval/golden.json").length > 0);
+});
@@ -0,0 +1,45 @@
+const assert = require("node:assert/strict");
+const { test } = require("node:test");
+
+const {
+  describeFilter,
+  matchesFilter,
+  normalizeFilter,
+  toMongoFilter,
+} = require("../lib/filter");
+
+test("normalizes values to de-duplicated lists and drops empty fields", () => {
+  assert.deepEqual(
+    normalizeFilter({ doc_type: "contracts", source: ["a.md", "a.md", "", null] }),
+    { doc_type: ["contracts"], source: ["a.md"] }
+  );
+  assert.equal(normalizeFilter({ doc_type: [] }), null);
+  assert.equal(normalizeFilter(undefined), null);
+});
+
+test("rejects unknown fields, non-string values and non-objects", () => {
+  assert.throws(() => normalizeFilter({ author: "x" }), /Cannot filter on "author"/);
+  assert.throws(() => normalizeFilter({ doc_type: 3 }), /must be strings/);
+  assert.throws(() => normalizeFilter(["contracts"]), /Filter must be an object/);
+});
+
+test("matches metadata against every field", () => {
+  const filter = { doc_type: ["contracts", "products"], source: ["a.md"] };
+  assert.ok(matchesFilter({ doc_type: "products", source: "a.md" }, filter));
+  assert.ok(!matchesFilter({ doc_type: "products", source: "b.md" }, filter));
+  assert.ok(matchesFilter({ doc_type: "company" }, null));
+});
+
+test("translates to Mongo-style operators and a readable description", () => {
+  assert.deepEqual(toMongoFilter({ doc_type: ["contracts"] }), {
+    doc_type: { $in: ["contracts"] },
+  });
+  assert.deepEqual(toMongoFilter({ doc_type: ["contracts"], source: ["a.md"] }), {
+    $and: [{ doc_type: { $in: ["contracts"] } }, { source: { $in: ["a.md"] } }],
+  });
+  assert.equal(toMongoFilter(null), undefined);
+  assert.equal(
+    describeFilter({ doc_type: ["contracts", "products"], source: ["a.md"] }),
+    "contracts, products; source: a.md"
+  );
+});
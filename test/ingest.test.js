@@ -0,0 +1,75 @@
+const assert = require("node:assert/strict");
+const { test } = require("node:test");
+
+const { EmbeddingPipeline, batchByTokens, estimateTokens } = require("../lib/ingest");
+const { EmbeddingError } = require("../lib/errors");
+
+// Embeds each text as its length, recording every request
+function embeddings({ delay = 0, fail = () => false } = {}) {
+  const requests = [];
+  return {
+    requests,
+    async embedDocuments(texts, { signal } = {}) {
+      requests.push({ texts, signal });
+      await new Promise((resolve) => setTimeout(resolve, delay));
+      if (fail(texts)) {
+        throw Object.assign(new Error("bad input"), { status: 400 });
+      }
+      return texts.map((text) => [text.length]);
+    },
+  };
+}
+
+test("batches texts by estimated tokens and by count", () => {
+  assert.equal(estimateTokens("abcdefg"), 3);
+  assert.deepEqual(batchByTokens(["aaa", "aaa", "aaaaaa", "a"], 2), [[0, 1], [2], [3]]);
+  assert.deepEqual(batchByTokens(["a", "a", "a"], 100, 2), [[0, 1], [2]]);
+});
+
+test("embeds every batch and writes them one at a time", async () => {
+  const provider = embeddings({ delay: 5 });
+  const pipeline = new EmbeddingPipeline(provider, { maxBatchTokens: 1, concurrency: 3 });
+  const texts = ["a", "bb", "ccc", "dddd", "eeeee"];
+  const vectors = new Array(texts.length);
+  let writing = false;
+
+  const { batches } = await pipeline.run(
+    texts,
+    async (indexes, batch) => {
+      assert.equal(writing, false);
+      writing = true;
+      await new Promise((resolve) => setTimeout(resolve, 2));
+      indexes.forEach((index, i) => (vectors[index] = batch[i]));
+      writing = false;
+    },
+    { progress: false }
+  );
+  assert.equal(batches, 5);
+  assert.deepEqual(vectors, [[1], [2], [3], [4], [5]]);
+  // Each request can be dropped when its attempt times out
+  assert.ok(provider.requests.every(({ signal }) => signal instanceof AbortSignal));
+});
+
+test("reports a failed batch as an EmbeddingError after finishing the writes", async () => {
+  const provider = embeddings({ fail: (texts) => texts.includes("bad") });
+  const pipeline = new EmbeddingPipeline(provider, {
+    maxBatchTokens: 1,
+    concurrency: 1,
+    resilience: { retries: 0 },
+  });
+  const written = [];
+  await assert.rejects(
+    pipeline.run(["ok", "bad", "never"], async (indexes) => written.push(...indexes), {
+      progress: false,
+    }),
+    (error) =>
+      error instanceof EmbeddingError && error.message === "Embedding chunks failed: bad input"
+  );
+  assert.deepEqual(written, [0]);
+  assert.equal(provider.requests.length, 2);
+});
+
+test("rejects batch sizes and concurrency that aren't positive integers", () => {
+  assert.throws(() => new EmbeddingPipeline({}, { maxBatchTokens: 0 }), /positive integer/);
+  assert.throws(() => new EmbeddingPipeline({}, { concurrency: 1.5 }), /positive integer/);
+});
@@ -0,0 +1,72 @@
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { test } = require("node:test");
+
+const { createLoaders, htmlToText, isSupported, unsupportedFiles } = require("../lib/loaders");
+
+function tempFolder(t, files) {
+  const folder = fs.mkdtempSync(path.join(os.tmpdir(), "rag-loaders-"));
+  t.after(() => fs.rmSync(folder, { recursive: true, force: true }));
+  for (const [name, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(folder, name)), { recursive: true });
+    fs.writeFileSync(path.join(folder, name), content);
+  }
+  return folder;
+}
+
+test("turns HTML into text, keeping lists, rows and paragraphs", () => {
+  const html =
+    "<html><head><title>x</title><style>p{}</style></head><body>" +
+    "<h1>Rellm &amp; Co</h1><p>Line&nbsp;one<br>Line two</p><!-- note -->" +
+    "<ul><li>First</li><li>Second</li></ul>" +
+    "<table><tr><th>Tier</th><th>Price</th></tr><tr><td>Basic</td><td>&#36;500</td></tr></table>" +
+    "<script>alert(1)</script></body></html>";
+  assert.equal(
+    htmlToText(html),
+    "Rellm & Co\nLine one\nLine two\n\n- First\n- Second\nTier | Price |\nBasic | $500 |"
+  );
+});
+
+test("knows which extensions it can load", () => {
+  assert.ok(isSupported("contracts/a.md"));
+  assert.ok(isSupported("report.pdf"));
+  assert.ok(!isSupported("image.png"));
+  assert.ok(!isSupported("Makefile"));
+});
+
+test("lists the files no loader handles, with the reason", async (t) => {
+  const folder = tempFolder(t, { "a.md": "x", "b.png": "x", "sub/README": "x" });
+  const files = await unsupportedFiles(folder);
+  assert.deepEqual(
+    files.sort((a, b) => a.file.localeCompare(b.file)),
+    [
+      { file: path.join(folder, "b.png"), reason: "unsupported file type .png" },
+      { file: path.join(folder, "sub/README"), reason: "no file extension" },
+    ]
+  );
+});
+
+test("records files that fail to load or have no text instead of throwing", async (t) => {
+  const folder = tempFolder(t, {
+    "a.md": "# Rellm",
+    "empty.txt": "  \n",
+    "broken.pdf": "not a pdf",
+    "rows.csv": "tier,price\nBasic,500\nPro,900\n",
+  });
+  const skipped = [];
+  const loaders = createLoaders(skipped);
+
+  const [markdown] = await loaders[".md"](path.join(folder, "a.md")).load();
+  assert.equal(markdown.pageContent, "# Rellm");
+  assert.equal((await loaders[".csv"](path.join(folder, "rows.csv")).load()).length, 2);
+  assert.deepEqual(await loaders[".txt"](path.join(folder, "empty.txt")).load(), []);
+  assert.deepEqual(await loaders[".pdf"](path.join(folder, "broken.pdf")).load(), []);
+
+  assert.deepEqual(
+    skipped.map((entry) => path.basename(entry.file)),
+    ["empty.txt", "broken.pdf"]
+  );
+  assert.equal(skipped[0].reason, "no text found");
+});
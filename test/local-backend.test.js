@@ -0,0 +1,111 @@
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { test } = require("node:test");
+
+const { LocalBackend } = require("../lib/backends/local");
+
+function tempDirectory(t) {
+  const parent = fs.mkdtempSync(path.join(os.tmpdir(), "rag-local-"));
+  t.after(() => fs.rmSync(parent, { recursive: true, force: true }));
+  return path.join(parent, "vector_db");
+}
+
+function record(id, vector) {
+  return { id, vector, text: `text ${id}`, metadata: { source: `${id}.md` } };
+}
+
+async function open(t, directory, options = {}) {
+  t.mock.method(console, "log", () => {});
+  const backend = new LocalBackend({ directory, ...options });
+  await backend.connect();
+  return backend;
+}
+
+test("keeps writes in memory until flushed, then reloads them", async (t) => {
+  const directory = tempDirectory(t);
+  const backend = await open(t, directory);
+  await backend.upsert([record("a", [1, 0]), record("b", [0, 1])]);
+  await backend.delete(["b"]);
+  assert.equal(fs.existsSync(directory), false);
+
+  await backend.flush();
+  const reloaded = await open(t, directory);
+  assert.equal(await reloaded.count(), 1);
+  const [hit] = await reloaded.query([1, 0], { limit: 1 });
+  assert.deepEqual(hit, { id: "a", text: "text a", metadata: { source: "a.md" }, score: 1 });
+});
+
+test("each flush commits a new generation and removes the old one", async (t) => {
+  const directory = tempDirectory(t);
+  const backend = await open(t, directory);
+  await backend.upsert([record("a", [1, 0])]);
+  await backend.flush();
+  await backend.upsert([record("b", [0, 1])]);
+  await backend.flush();
+  // Nothing changed, nothing written
+  await backend.flush();
+
+  assert.deepEqual(fs.readdirSync(directory).sort(), ["metadata.json", "vectors.2.f32"]);
+  assert.equal(await (await open(t, directory)).count(), 2);
+});
+
+test("a crash before the metadata is swapped in leaves the last generation", async (t) => {
+  const directory = tempDirectory(t);
+  const backend = await open(t, directory);
+  await backend.upsert([record("a", [1, 0])]);
+  await backend.flush();
+
+  // The next generation's vectors were written but its metadata never was
+  fs.writeFileSync(path.join(directory, "vectors.2.f32"), Buffer.alloc(16));
+  fs.writeFileSync(path.join(directory, "metadata.json.tmp"), "{");
+  const reloaded = await open(t, directory);
+  assert.equal(await reloaded.count(), 1);
+
+  // ...and the next flush tidies it up
+  await reloaded.upsert([record("b", [0, 1])]);
+  await reloaded.flush();
+  assert.deepEqual(fs.readdirSync(directory).sort(), ["metadata.json", "vectors.2.f32"]);
+  assert.equal(await (await open(t, directory)).count(), 2);
+});
+
+test("refuses vectors that don't match the metadata", async (t) => {
+  const directory = tempDirectory(t);
+  const backend = await open(t, directory);
+  await backend.upsert([record("a", [1, 0])]);
+  await backend.flush();
+  fs.writeFileSync(path.join(directory, "vectors.1.f32"), Buffer.alloc(4));
+  await assert.rejects(open(t, directory), /is corrupt \(1 values for 1 x 2\)/);
+  fs.rmSync(path.join(directory, "vectors.1.f32"));
+  await assert.rejects(open(t, directory), /is corrupt \(vectors\.1\.f32 is missing\)/);
+});
+
+test("loads stores written before vector files were versioned", async (t) => {
+  const directory = tempDirectory(t);
+  fs.mkdirSync(directory);
+  fs.writeFileSync(
+    path.join(directory, "metadata.json"),
+    JSON.stringify({ dimension: 2, entries: [{ id: "a", text: "t", metadata: {} }] })
+  );
+  fs.writeFileSync(
+    path.join(directory, "vectors.f32"),
+    Buffer.from(new Float32Array([1, 0]).buffer)
+  );
+  const backend = await open(t, directory);
+  assert.equal(await backend.count(), 1);
+
+  await backend.upsert([record("b", [0, 1])]);
+  await backend.flush();
+  assert.deepEqual(fs.readdirSync(directory).sort(), ["metadata.json", "vectors.1.f32"]);
+});
+
+test("drops a store built for another embedding dimension", async (t) => {
+  const directory = tempDirectory(t);
+  const backend = await open(t, directory);
+  await backend.upsert([record("a", [1, 0])]);
+  await backend.flush();
+  const resized = await open(t, directory, { dimension: 3 });
+  assert.equal(await resized.count(), 0);
+  assert.equal(fs.existsSync(directory), false);
+});
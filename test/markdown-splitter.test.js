@@ -0,0 +1,72 @@
+const assert = require("node:assert/strict");
+const { test } = require("node:test");
+
+const { MarkdownStructureSplitter, parseBlocks } = require("../lib/markdown-splitter");
+
+const RECORD = `# HR Record
+
+# Alex Chen
+
+## Summary
+- **Job Title:** Backend Software Engineer
+- **Location:** San Francisco, California
+
+## Compensation History
+| Year | Base Salary | Bonus |
+|------|-------------|-------|
+| 2022 | $100,000 | $7,500 |
+| 2023 | $110,000 | $10,000 |
+`;
+
+test("parses headings, lists and tables into blocks with heading paths", () => {
+  const blocks = parseBlocks(RECORD);
+  assert.deepEqual(
+    blocks.map((block) => block.type),
+    ["heading", "heading", "heading", "list", "list", "heading", "table"]
+  );
+  const table = blocks[blocks.length - 1];
+  assert.deepEqual(table.path, ["Alex Chen", "Compensation History"]);
+  assert.equal(table.text.split("\n").length, 4);
+});
+
+test("keeps a list item's indented continuation lines with it", () => {
+  const blocks = parseBlocks(
+    "- **2021:**\n  - Led a project.\n\n  - Mentored juniors.\n\nNext paragraph."
+  );
+  assert.deepEqual(
+    blocks.map((block) => block.type),
+    ["list", "paragraph"]
+  );
+  assert.match(blocks[0].text, /Mentored juniors/);
+});
+
+test("splits at ## headings and records the heading path", async () => {
+  const chunks = await new MarkdownStructureSplitter({ chunkSize: 1000 }).splitText(RECORD);
+  assert.deepEqual(
+    chunks.map((chunk) => chunk.headingPath),
+    ["Alex Chen > Summary", "Alex Chen > Compensation History"]
+  );
+  // Stacked headings stay with the first content below them
+  assert.match(chunks[0].text, /^# HR Record\n\n# Alex Chen\n\n## Summary/);
+});
+
+test("cuts oversized tables between rows and repeats the header", async () => {
+  const rows = Array.from({ length: 20 }, (_, i) => `| ${2000 + i} | $${50 + i},000 |`);
+  const table = ["| Year | Salary |", "|------|--------|", ...rows].join("\n");
+  const splitter = new MarkdownStructureSplitter({ chunkSize: 120, chunkOverlap: 0 });
+  const chunks = await splitter.splitText(`## Pay\n\n${table}`);
+  const pieces = chunks.filter((chunk) => chunk.text.startsWith("| Year"));
+  assert.ok(pieces.length > 1);
+  for (const piece of pieces) {
+    assert.match(piece.text, /^\| Year \| Salary \|\n\|------\|--------\|\n\| \d{4}/);
+  }
+  const rowCount = pieces.reduce((sum, piece) => sum + piece.text.split("\n").length - 2, 0);
+  assert.equal(rowCount, 20);
+});
+
+test("splitDocuments carries metadata over and adds heading_path", async () => {
+  const [chunk] = await new MarkdownStructureSplitter().splitDocuments([
+    { pageContent: "## Pricing\n\nStandard tier: $500/month.", metadata: { source: "p.md" } },
+  ]);
+  assert.deepEqual(chunk.metadata, { source: "p.md", heading_path: "Pricing" });
+});
@@ -0,0 +1,89 @@
+const assert = require("node:assert/strict");
+const { test } = require("node:test");
+
+const { RAG_MODEL_ID, parseMessages } = require("../lib/openai-compat");
+const { ChatServer } = require("../lib/server");
+
+test("splits messages into the last user question and the history before it", () => {
+  assert.deepEqual(
+    parseMessages([
+      { role: "system", content: "Be brief." },
+      { role: "user", content: "Who is the CEO?" },
+      { role: "assistant", content: "Avery Lancaster." },
+      { role: "user", content: [{ type: "text", text: "When did she start?" }] },
+    ]),
+    {
+      question: "When did she start?",
+      history: [
+        { role: "user", content: "Who is the CEO?" },
+        { role: "assistant", content: "Avery Lancaster." },
+      ],
+    }
+  );
+});
+
+test("rejects message lists it can't answer", () => {
+  assert.throws(() => parseMessages(undefined), /non-empty array/);
+  assert.throws(() => parseMessages([]), /non-empty array/);
+  assert.throws(() => parseMessages([null]), /only contain message objects/);
+  assert.throws(() => parseMessages([{ role: "system", content: "x" }]), /a user message/);
+  assert.throws(() => parseMessages([{ role: "user", content: " " }]), /is empty/);
+  assert.throws(() => parseMessages([{ role: "user", content: [null] }]), /is empty/);
+});
+
+async function start(t) {
+  t.mock.method(console, "log", () => {});
+  const chatbot = {
+    title: "Test bot",
+    async chat(question, { onToken = () => {} } = {}) {
+      onToken("Echo: ");
+      onToken(question);
+      return { answer: `Echo: ${question}`, sources: [{ source: "a.md" }] };
+    },
+  };
+  const server = new ChatServer(chatbot);
+  const { port } = (await server.listen(0)).address();
+  t.after(() => server.close());
+  return (body) =>
+    fetch(`http://localhost:${port}/v1/chat/completions`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: typeof body === "string" ? body : JSON.stringify(body),
+    });
+}
+
+test("answers a completion request in the OpenAI shape", async (t) => {
+  const post = await start(t);
+  const completion = await (
+    await post({ model: "gpt-4o", messages: [{ role: "user", content: "Hi" }] })
+  ).json();
+  assert.equal(completion.object, "chat.completion");
+  assert.equal(completion.model, RAG_MODEL_ID);
+  assert.deepEqual(completion.choices[0].message, { role: "assistant", content: "Echo: Hi" });
+  assert.deepEqual(completion.sources, [{ source: "a.md" }]);
+});
+
+test("streams chunks and ends with [DONE]", async (t) => {
+  const post = await start(t);
+  const text = await (
+    await post({ stream: true, messages: [{ role: "user", content: "Hi" }] })
+  ).text();
+  const lines = text.trim().split("\n\n");
+  assert.equal(lines.pop(), "data: [DONE]");
+  const chunks = lines.map((line) => JSON.parse(line.slice("data: ".length)));
+  assert.deepEqual(
+    chunks.map((chunk) => chunk.choices[0].delta),
+    [{ role: "assistant" }, { content: "Echo: " }, { content: "Hi" }, {}]
+  );
+  assert.equal(chunks[3].choices[0].finish_reason, "stop");
+});
+
+test("answers malformed requests with a 400 invalid_request_error", async (t) => {
+  const post = await start(t);
+  for (const body of ["null", "[1]", '"hi"', { messages: [null] }, { messages: "Hi" }]) {
+    const response = await post(body);
+    assert.equal(response.status, 400, JSON.stringify(body));
+    const { error } = await response.json();
+    assert.equal(error.type, "invalid_request_error");
+  }
+});
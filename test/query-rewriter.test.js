@@ -0,0 +1,51 @@
+const assert = require("node:assert/strict");
+const { test } = require("node:test");
+
+const { QueryRewriter } = require("../lib/query-rewriter");
+const { FakeChatProvider } = require("../lib/providers/chat");
+
+const HISTORY = [
+  { role: "user", content: "When did Alex Chen join Insurellm?" },
+  { role: "assistant", content: "Alex Chen joined in 2020." },
+];
+
+test("leaves the first message of a conversation alone", async () => {
+  const llm = {
+    complete: () => assert.fail("the model should not be called"),
+  };
+  assert.equal(await new QueryRewriter(llm).rewrite("What is Rellm?"), "What is Rellm?");
+});
+
+test("condenses a follow-up using the conversation", async () => {
+  const rewriter = new QueryRewriter(new FakeChatProvider());
+  assert.equal(
+    await rewriter.rewrite("What is her salary?", HISTORY),
+    "What is her salary? Alex Chen Insurellm"
+  );
+});
+
+test("sends only the most recent turns and strips quotes from the reply", async () => {
+  let prompt;
+  const llm = {
+    async complete(messages) {
+      prompt = messages[1].content;
+      return ' "Alex Chen salary" \n';
+    },
+  };
+  const history = [{ role: "user", content: "Old question" }, ...HISTORY];
+  const rewriter = new QueryRewriter(llm, { historyMessages: 2 });
+  assert.equal(await rewriter.rewrite("And her salary?", history), "Alex Chen salary");
+  assert.doesNotMatch(prompt, /Old question/);
+  assert.match(prompt, /Follow-up message: And her salary\?\n\nStandalone query:$/);
+});
+
+test("falls back to the raw message when the model fails or returns nothing", async () => {
+  const failing = new QueryRewriter(
+    { complete: async () => Promise.reject(new Error("invalid key")) },
+    { resilience: { retries: 0 } }
+  );
+  assert.equal(await failing.rewrite("And her salary?", HISTORY), "And her salary?");
+
+  const empty = new QueryRewriter({ complete: async () => "  " });
+  assert.equal(await empty.rewrite("And her salary?", HISTORY), "And her salary?");
+});
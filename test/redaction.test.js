@@ -0,0 +1,122 @@
+const assert = require("node:assert/strict");
+const { test } = require("node:test");
+
+const { RedactionStream, Redactor } = require("../lib/redaction");
+
+const redactor = new Redactor();
+
+test("masks dates of birth, keeping the label", () => {
+  assert.equal(
+    redactor.redact("- **Date of Birth:** March 15, 1990"),
+    "- **Date of Birth:** [redacted date of birth]"
+  );
+  assert.equal(redactor.redact("born on 1990-03-15"), "born on [redacted date of birth]");
+});
+
+test("masks salaries, bonuses and raises but not contract fees", () => {
+  assert.equal(
+    redactor.redact("Base salary of $110,000 plus a $10,000 bonus."),
+    "Base salary of [redacted compensation] plus a [redacted compensation] bonus."
+  );
+  const fee = "Client shall pay the Provider the sum of $10,000 per month.";
+  assert.equal(redactor.redact(fee), fee);
+});
+
+test("masks every amount under a compensation heading", () => {
+  const text = "## Compensation History\n| 2023 | $110,000 | $10,000 |\n## Other\n$5";
+  assert.equal(
+    redactor.redact(text),
+    "## Compensation History\n| 2023 | [redacted compensation] | [redacted compensation] |\n## Other\n$5"
+  );
+  assert.equal(
+    redactor.redact("- 2022: $95,000", { section: "Alex Chen > Compensation History" }),
+    "- 2022: [redacted compensation]"
+  );
+});
+
+test("masks numeric and word ratings", () => {
+  assert.equal(redactor.redact("Rating: 4.5/5"), "Rating: [redacted performance rating]");
+  assert.equal(
+    redactor.redact("Rated Outstanding; meets expectations."),
+    "Rated [redacted performance rating]; [redacted performance rating]."
+  );
+  assert.equal(
+    redactor.redact("## Annual Performance History\n- **2021**: **Exceptional**"),
+    "## Annual Performance History\n- **2021**: **[redacted performance rating]**"
+  );
+  // Outside a rating the same words are ordinary English
+  const prose = "Demonstrated exceptional analytical skills.";
+  assert.equal(redactor.redact(prose), prose);
+});
+
+test("masks personal details and contact information", () => {
+  assert.equal(
+    redactor.redact("Hobbies: hiking and chess"),
+    "Hobbies: [redacted personal details]"
+  );
+  assert.equal(
+    redactor.redact("Reach alex.chen@example.com or 415-555-1234."),
+    "Reach [redacted contact] or [redacted contact]."
+  );
+});
+
+test("reports the kinds of PII found, in order of appearance", () => {
+  assert.deepEqual(
+    redactor.kinds("Born March 15, 1990. Rating: 4/5. Salary: $90,000"),
+    ["dateOfBirth", "performanceRating", "compensation"]
+  );
+  assert.deepEqual(redactor.kinds("Rellm is a reinsurance platform."), []);
+});
+
+test("patterns and sections are configurable, and empty ones are off", () => {
+  const custom = new Redactor({
+    patterns: { dateOfBirth: "", contact: "\\bext\\. (\\d+)" },
+    compensationSections: "",
+  });
+  assert.equal(custom.redact("DOB: 1990-03-15"), "DOB: 1990-03-15");
+  assert.equal(custom.redact("Call ext. 4411"), "Call ext. [redacted contact]");
+  assert.equal(custom.redact("## Compensation\n- 2023: $5"), "## Compensation\n- 2023: $5");
+});
+
+test("a streamed answer is masked the same as the whole text", () => {
+  const texts = [
+    "Alex was born on March 15, 1993. Salary is $90,000.\nInterests: hiking. Chess.\n" +
+      "## Compensation History\n- 2023: $95,000 base\nRated 4.5/5. Done",
+    "She earns $120,000 a year; $90,000 base salary. Rated Outstanding, which does not meet expectations.",
+    "Mail alex.chen@example.com or call (415) 555-1234. DOB: 1990-03-15.\nRellm costs $10,000 per month.",
+    // The value starts on the line below its label
+    "- **Interests**:  \n  - Volunteers at a food bank.  \n  - Runs marathons.\n",
+  ];
+  for (const text of texts) {
+    for (const size of [1, 2, 3, 4, 9, text.length]) {
+      const stream = new RedactionStream(redactor);
+      let output = "";
+      for (let i = 0; i < text.length; i += size) {
+        output += stream.push(text.slice(i, i + size));
+      }
+      assert.equal(output + stream.flush(), redactor.redact(text), `tokens of ${size}`);
+    }
+  }
+});
+
+test("a streamed answer only holds back text that may still become a value", () => {
+  const stream = new RedactionStream(redactor);
+  assert.equal(stream.push("Rellm is a reinsurance"), "Rellm is a ");
+  assert.equal(stream.push(" platform. It"), "reinsurance platform. ");
+  assert.equal(stream.push(" launched in 20"), "It launched in ");
+  assert.equal(stream.push("21 and"), "");
+  assert.equal(stream.push(" grew fast"), "2021 and grew ");
+  assert.equal(stream.flush(), "fast");
+});
+
+test("a streamed answer never sends part of a value unmasked", () => {
+  const stream = new RedactionStream(redactor);
+  assert.equal(stream.push("Her salary is $9"), "Her salary is ");
+  assert.equal(stream.push("0,000. Next"), "[redacted compensation]. ");
+  assert.equal(stream.flush(), "Next");
+
+  const dates = new RedactionStream(redactor);
+  assert.equal(dates.push("Born on March "), "Born on ");
+  assert.equal(dates.push("15, 1990. Then"), "[redacted date of birth]. ");
+  assert.equal(dates.flush(), "Then");
+});
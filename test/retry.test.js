@@ -0,0 +1,88 @@
+const assert = require("node:assert/strict");
+const { test } = require("node:test");
+
+const {
+  TimeoutError,
+  isConnectionError,
+  isRetryable,
+  withRetry,
+  withTimeout,
+} = require("../lib/retry");
+
+function httpError(status, headers) {
+  return Object.assign(new Error(`HTTP ${status}`), { status, headers });
+}
+
+test("retries rate limits, server errors, timeouts and dropped connections only", () => {
+  assert.ok(isRetryable(httpError(429)));
+  assert.ok(isRetryable(httpError(503)));
+  assert.ok(isRetryable(new TimeoutError("Embedding", 10)));
+  assert.ok(isRetryable(new Error("fetch failed", { cause: { code: "ECONNRESET" } })));
+  assert.ok(!isRetryable(httpError(400)));
+  assert.ok(!isRetryable(httpError(401)));
+  assert.ok(!isRetryable(new Error("bad input")));
+  assert.ok(isConnectionError({ cause: { cause: { code: "ENOTFOUND" } } }));
+});
+
+test("times out and aborts the attempt's signal", async () => {
+  let aborted;
+  await assert.rejects(
+    withTimeout(
+      // Like the OpenAI SDK, which rejects once its request is aborted
+      (signal) =>
+        new Promise((resolve, reject) => {
+          signal.addEventListener("abort", () => {
+            aborted = true;
+            reject(new Error("Request was aborted."));
+          });
+        }),
+      20,
+      "Searching"
+    ),
+    (error) => error instanceof TimeoutError && error.message === "Searching timed out after 20ms"
+  );
+  assert.equal(aborted, true);
+});
+
+test("retries until an attempt succeeds, honouring Retry-After", async (t) => {
+  t.mock.method(console, "log", () => {});
+  let attempts = 0;
+  const result = await withRetry(
+    async () => {
+      attempts++;
+      if (attempts < 3) {
+        throw httpError(429, { "retry-after": "0" });
+      }
+      return "ok";
+    },
+    { label: "Embedding", retries: 3 }
+  );
+  assert.equal(result, "ok");
+  assert.equal(attempts, 3);
+});
+
+test("gives up after the retries, and at once on errors that won't recover", async (t) => {
+  t.mock.method(console, "log", () => {});
+  let attempts = 0;
+  await assert.rejects(
+    withRetry(
+      async () => {
+        attempts++;
+        throw httpError(500, { "retry-after": "0" });
+      },
+      { retries: 2 }
+    ),
+    /HTTP 500/
+  );
+  assert.equal(attempts, 3);
+
+  attempts = 0;
+  await assert.rejects(
+    withRetry(async () => {
+      attempts++;
+      throw httpError(401);
+    }),
+    /HTTP 401/
+  );
+  assert.equal(attempts, 1);
+});
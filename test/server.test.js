@@ -0,0 +1,149 @@
+const assert = require("node:assert/strict");
+const { test } = require("node:test");
+
+const { ChatServer } = require("../lib/server");
+const { BackendUnavailable } = require("../lib/errors");
+
+// Just enough of RAGChatbot for the routes: answers by echoing the question,
+// and records the history and role each call was given
+function chatbot() {
+  return {
+    title: "Test bot",
+    documentCount: 3,
+    calls: [],
+    async chat(message, { history = [], onToken = () => {}, role } = {}) {
+      this.calls.push({ message, history: [...history], role });
+      if (message === "fail") {
+        throw new BackendUnavailable("Chroma is unreachable");
+      }
+      const answer = `Echo: ${message}`;
+      answer.split(/(?<= )/).forEach((token) => onToken(token));
+      history.push({ role: "user", content: message }, { role: "assistant", content: answer });
+      return { answer, query: message, sources: [], citations: [], tokens: {} };
+    },
+    async exclusive(task) {
+      return task();
+    },
+    async rebuildKnowledgeBase() {
+      await new Promise((resolve) => setTimeout(resolve, 50));
+    },
+    async syncKnowledgeBase() {},
+    async getStatusInfo() {
+      return { documents: this.documentCount };
+    },
+  };
+}
+
+async function start(t, options) {
+  t.mock.method(console, "log", () => {});
+  t.mock.method(console, "error", () => {});
+  const bot = chatbot();
+  const server = new ChatServer(bot, options);
+  const { port } = (await server.listen(0)).address();
+  t.after(() => server.close());
+  const post = (path, body, headers = {}) =>
+    fetch(`http://localhost:${port}${path}`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...headers },
+      body: typeof body === "string" ? body : JSON.stringify(body),
+    });
+  return { bot, server, port, post };
+}
+
+function events(text) {
+  return text
+    .trim()
+    .split("\n\n")
+    .map((block) => {
+      const [, event, data] = block.match(/^event: (\w+)\ndata: (.*)$/);
+      return { event, data: JSON.parse(data) };
+    });
+}
+
+test("streams an answer over SSE and keeps the conversation per session", async (t) => {
+  const { bot, post } = await start(t);
+  const response = await post("/chat", { message: "Hello there", session_id: "s1" });
+  assert.equal(response.headers.get("content-type"), "text/event-stream");
+  const stream = events(await response.text());
+  assert.deepEqual(
+    stream.map(({ event }) => event),
+    ["start", "token", "token", "token", "done"]
+  );
+  assert.equal(stream[4].data.answer, "Echo: Hello there");
+  assert.equal(stream[4].data.session_id, "s1");
+
+  await (await post("/chat", { message: "Again", session_id: "s1" })).text();
+  assert.equal(bot.calls[1].history.length, 2);
+});
+
+test("only a request with the elevated token gets the elevated role", async (t) => {
+  const { bot, post } = await start(t, { elevatedToken: "s3cret" });
+  const chat = async (headers) => {
+    await (await post("/chat", { message: "Hi", session_id: "s1" }, headers)).text();
+    return bot.calls.at(-1);
+  };
+
+  assert.equal((await chat({})).role, "standard");
+  assert.equal((await chat({ Authorization: "Bearer nope" })).role, "standard");
+  const elevated = await chat({ Authorization: "Bearer s3cret" });
+  assert.equal(elevated.role, "elevated");
+  // The elevated conversation is kept apart from the standard one
+  assert.equal(elevated.history.length, 0);
+  assert.equal((await chat({})).history.length, 4);
+});
+
+test("without a configured token every request is standard", async (t) => {
+  const { bot, post } = await start(t, { elevatedToken: "" });
+  await (await post("/chat", { message: "Hi" }, { Authorization: "Bearer " })).text();
+  await (await post("/v1/chat/completions", {
+    messages: [{ role: "user", content: "Hi" }],
+  }, { Authorization: "Bearer anything" })).json();
+  assert.deepEqual(bot.calls.map((call) => call.role), ["standard", "standard"]);
+});
+
+test("rejects bodies that aren't JSON objects with a 400", async (t) => {
+  const { post } = await start(t);
+  for (const body of ["null", "[]", '"hello"', "42", "{oops"]) {
+    const response = await post("/chat", body);
+    assert.equal(response.status, 400, body);
+    assert.match((await response.json()).error, /^Request body must be (a JSON object|valid JSON)$/);
+  }
+  const missing = await post("/chat", {});
+  assert.equal(missing.status, 400);
+  assert.deepEqual(await missing.json(), { error: '"message" is required' });
+});
+
+test("reports typed pipeline errors inside the stream", async (t) => {
+  const { post } = await start(t);
+  const stream = events(await (await post("/chat", { message: "fail" })).text());
+  assert.deepEqual(stream[1], {
+    event: "error",
+    data: { error: "Chroma is unreachable", code: "backend_unavailable" },
+  });
+});
+
+test("refuses chats and a second rebuild while one is running", async (t) => {
+  const { post } = await start(t);
+  const rebuild = post("/rebuild", "");
+  await new Promise((resolve) => setTimeout(resolve, 10));
+  assert.equal((await post("/chat", { message: "Hi" })).status, 503);
+  assert.equal((await post("/sync", "")).status, 409);
+  assert.deepEqual(await (await rebuild).json(), {
+    status: "ok",
+    action: "rebuild",
+    documents: 3,
+  });
+});
+
+test("drops the least recently used session beyond the cap", async (t) => {
+  const { server, port } = await start(t, { maxSessions: 2 });
+  server.getSessionHistory("a", "standard");
+  server.getSessionHistory("b", "standard");
+  server.getSessionHistory("a", "standard");
+  server.getSessionHistory("c", "standard");
+  assert.deepEqual([...server.sessions.keys()], ["standard:a", "standard:c"]);
+
+  const status = await (await fetch(`http://localhost:${port}/status`)).json();
+  assert.deepEqual(status, { documents: 3, sessions: 2, maintenance: null });
+  assert.equal((await fetch(`http://localhost:${port}/nope`)).status, 404);
+});
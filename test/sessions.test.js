@@ -0,0 +1,62 @@
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { test } = require("node:test");
+
+const { ChatSession, SessionStore } = require("../lib/sessions");
+
+function tempStore(t) {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), "rag-sessions-"));
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+  return new SessionStore(directory);
+}
+
+test("history returns the latest messages in chat order", () => {
+  const session = new ChatSession();
+  session.addTurn({ question: "q1", answer: "a1" });
+  session.addTurn({ question: "q2", answer: "a2" });
+  assert.deepEqual(session.history(3), [
+    { role: "assistant", content: "a1" },
+    { role: "user", content: "q2" },
+    { role: "assistant", content: "a2" },
+  ]);
+  assert.deepEqual(session.history(0), []);
+});
+
+test("saves, loads and lists sessions newest first", (t) => {
+  const store = tempStore(t);
+  const session = new ChatSession({ name: "renewals" });
+  session.addTurn({ question: "q", answer: "a", sources: ["contracts/a.md"] });
+  store.save(session);
+  store.save(new ChatSession({ name: "empty" }));
+
+  assert.ok(store.exists("renewals"));
+  const loaded = store.load("renewals");
+  assert.equal(loaded.name, "renewals");
+  assert.deepEqual(loaded.turns, session.turns);
+
+  const listed = store.list();
+  assert.deepEqual(
+    listed.map(({ name, turns }) => [name, turns]).sort(),
+    [
+      ["empty", 0],
+      ["renewals", 1],
+    ]
+  );
+  assert.ok(listed[0].updatedAt >= listed[1].updatedAt);
+  assert.deepEqual(fs.readdirSync(store.directory).sort(), ["empty.json", "renewals.json"]);
+});
+
+test("rejects names that could escape the sessions folder", (t) => {
+  const store = tempStore(t);
+  assert.throws(() => store.filePath("../secrets"), /Invalid session name/);
+  assert.throws(() => SessionStore.validateName(""), /Invalid session name/);
+  assert.throws(() => store.load("missing"), /No saved session named "missing"/);
+});
+
+test("refuses sessions saved in another format", (t) => {
+  const store = tempStore(t);
+  fs.writeFileSync(path.join(store.directory, "old.json"), JSON.stringify({ version: 0 }));
+  assert.throws(() => store.load("old"), /unsupported format/);
+});
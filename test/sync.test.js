@@ -0,0 +1,79 @@
+const assert = require("node:assert/strict");
+const { test } = require("node:test");
+
+const { assignChunkIds, chunkId, planSync } = require("../lib/sync");
+
+function chunks(source, fileHash, texts) {
+  return assignChunkIds(
+    texts.map((text) => ({ pageContent: text, metadata: { source, file_hash: fileHash } }))
+  );
+}
+
+function manifestOf(...chunkLists) {
+  return planSync({ files: {} }, chunkLists.flat()).files;
+}
+
+test("chunk IDs depend only on the source and the text", () => {
+  assert.equal(chunkId("a.md", "text"), chunkId("a.md", "text"));
+  assert.notEqual(chunkId("a.md", "text"), chunkId("b.md", "text"));
+  assert.equal(chunkId("a.md", "text").length, 32);
+});
+
+test("repeated chunks in one file get distinct IDs", () => {
+  const [first, second] = chunks("a.md", "h1", ["same", "same"]);
+  assert.equal(second.metadata.chunk_id, `${first.metadata.chunk_id}-1`);
+  assert.equal(first.metadata.content_hash, second.metadata.content_hash);
+});
+
+test("identical chunks of one batch are all embedded and all counted", () => {
+  // Two pages of a PDF repeating a disclaimer, and the same text in another file
+  const current = [
+    ...chunks("a.pdf", "h1", ["Confidential.", "Page two.", "Confidential."]),
+    ...chunks("b.md", "h2", ["Confidential."]),
+  ];
+  const ids = current.map((chunk) => chunk.metadata.chunk_id);
+  assert.equal(new Set(ids).size, 4);
+  const { plan, files } = planSync({ files: {} }, current);
+  assert.equal(plan.toEmbed.length, 4);
+  assert.equal(files["a.pdf"].chunks.length, 3);
+});
+
+test("a first sync embeds everything", () => {
+  const current = chunks("a.md", "h1", ["one", "two"]);
+  const { plan } = planSync({ files: {} }, current);
+  assert.deepEqual(plan.added, ["a.md"]);
+  assert.equal(plan.toEmbed.length, 2);
+  assert.deepEqual(plan.toDelete, []);
+});
+
+test("unchanged files are skipped", () => {
+  const a = chunks("a.md", "h1", ["one", "two"]);
+  const { plan } = planSync({ files: manifestOf(a) }, a);
+  assert.equal(plan.unchanged, 1);
+  assert.deepEqual(plan.toEmbed, []);
+  assert.deepEqual(plan.toDelete, []);
+});
+
+test("an edited file embeds only its new chunks and deletes its stale ones", () => {
+  const before = chunks("a.md", "h1", ["one", "two"]);
+  const after = chunks("a.md", "h2", ["one", "three"]);
+  const { plan } = planSync({ files: manifestOf(before) }, after);
+  assert.deepEqual(plan.changed, ["a.md"]);
+  assert.deepEqual(
+    plan.toEmbed.map((chunk) => chunk.pageContent),
+    ["three"]
+  );
+  assert.deepEqual(plan.toDelete, [before[1].metadata.chunk_id]);
+});
+
+test("a deleted file has all its chunks deleted", () => {
+  const a = chunks("a.md", "h1", ["one"]);
+  const b = chunks("b.md", "h1", ["two", "three"]);
+  const { plan, files } = planSync({ files: manifestOf(a, b) }, a);
+  assert.deepEqual(plan.removed, ["b.md"]);
+  assert.deepEqual(
+    plan.toDelete,
+    b.map((chunk) => chunk.metadata.chunk_id)
+  );
+  assert.deepEqual(Object.keys(files), ["a.md"]);
+});
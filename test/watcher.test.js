@@ -0,0 +1,80 @@
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { test } = require("node:test");
+
+const { KnowledgeBaseWatcher } = require("../lib/watcher");
+
+function tempFolder(t) {
+  const folder = fs.mkdtempSync(path.join(os.tmpdir(), "rag-watch-"));
+  fs.mkdirSync(path.join(folder, "contracts"));
+  t.after(() => fs.rmSync(folder, { recursive: true, force: true }));
+  return folder;
+}
+
+// Resolves with the first batch of changes that includes `file`
+function nextChange(watcher, file) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`no change reported for ${file}`)), 5000);
+    watcher.onChange = (changed) => {
+      if (changed.includes(file)) {
+        clearTimeout(timer);
+        resolve(changed);
+      }
+    };
+  });
+}
+
+for (const [mode, start] of [
+  ["recursive", (watcher) => watcher.start()],
+  ["per-folder", (watcher) => watcher.watchTree("")],
+]) {
+  test(`reports changed files relative to the knowledge base (${mode})`, async (t) => {
+    const folder = tempFolder(t);
+    const watcher = new KnowledgeBaseWatcher(folder, () => {}, { debounceMs: 50 });
+    start(watcher);
+    t.after(() => watcher.close());
+
+    const file = path.join("contracts", "a.md");
+    const edited = nextChange(watcher, file);
+    fs.writeFileSync(path.join(folder, file), "# A");
+    await edited;
+
+    // A folder created after start-up is watched too
+    const nested = path.join("contracts", "2024", "b.md");
+    fs.mkdirSync(path.join(folder, "contracts", "2024"));
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    const added = nextChange(watcher, nested);
+    fs.writeFileSync(path.join(folder, nested), "# B");
+    await added;
+  });
+}
+
+test("skips editor swap and backup files", async (t) => {
+  const folder = tempFolder(t);
+  const watcher = new KnowledgeBaseWatcher(folder, () => {}, { debounceMs: 50 }).start();
+  t.after(() => watcher.close());
+
+  const done = nextChange(watcher, "b.md");
+  fs.writeFileSync(path.join(folder, ".a.md.swp"), "x");
+  fs.writeFileSync(path.join(folder, "a.md~"), "x");
+  fs.writeFileSync(path.join(folder, "b.md"), "x");
+  assert.deepEqual(await done, ["b.md"]);
+});
+
+test("runs one update at a time", async () => {
+  let running = 0;
+  let overlapped = false;
+  const watcher = new KnowledgeBaseWatcher("unused", async () => {
+    running++;
+    overlapped ||= running > 1;
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    running--;
+  });
+  watcher.pending.add("a.md");
+  watcher.flush();
+  watcher.pending.add("b.md");
+  await watcher.flush();
+  assert.equal(overlapped, false);
+});